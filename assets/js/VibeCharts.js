@@ -19,17 +19,24 @@ class VibeCharts {
       throw new Error(`Container with id "${containerId}" not found`);
     }
     
+    // Options as passed in, so theme values never override explicit choices
+    this.userOptions = { ...options };
     this.options = {
       type: 'bar',
       data: [],
-      colors: ['#667eea', '#764ba2', '#f093fb', '#4facfe', '#43e97b', '#fa709a', '#fee140'],
+      datasets: null,
+      colors: null,
       barColorMode: 'series',
       lineColorMode: 'same',
+      barMode: 'grouped',
+      lineMode: 'normal',
+      areaMode: 'normal',
       lineFill: false,
       areaFill: true,
       fillOpacity: 0.3,
-      textColor: '#333333',
-      backgroundColor: '#ffffff',
+      textColor: null,
+      backgroundColor: null,
+      fontFamily: null,
       gradient: false,
       gradientColors: ['#667eea', '#764ba2'],
       labelPosition: 'top',
@@ -44,33 +51,101 @@ class VibeCharts {
       showLegend: true,
       legendPosition: 'bottom',
       showGrid: true,
+      showAxis: true,
+      yMin: null,
+      yMax: null,
+      beginAtZero: true,
+      yScale: 'linear',
+      yTicks: 5,
+      xMin: null,
+      xMax: null,
+      xScale: 'auto',
+      locale: null,
+      numberFormat: null,
+      abbreviate: false,
+      valueFormatter: null,
+      labelFormatter: null,
+      strings: null,
+      groupBy: null,
+      pointColorMode: 'individual',
+      pointRadius: 5,
+      downsample: true,
+      maxMarkerDensity: 0.1,
+      zoom: false,
+      overview: false,
+      maxPoints: null,
+      labelKey: null,
+      valueKey: null,
+      transform: null,
+      description: '',
+      annotations: [],
+      rightAxis: null,
+      gauge: null,
+      heatmap: null,
+      bubbleMaxRadius: 30,
+      radialMax: null,
       showLabels: true,
       animated: true,
       responsive: true,
       showPlaceholder: true,
+      showTooltip: true,
+      tooltipFormatter: null,
       animationDuration: 800,
+      easing: 'easeOutCubic',
+      renderer: 'canvas',
+      plugins: [],
       ...options
     };
     
     this.canvas = null;
     this.ctx = null;
     this.animationFrame = null;
+    this.animationState = { progress: 1, previous: null, phase: 'enter' };
+    this.displayedValues = new Map();
     this.resizeObserver = null;
     this.isLoading = false;
     this.legendElement = null;
+    this.hiddenSeries = new Set();
+    this.hiddenItems = new Set();
+    this.tooltipElement = null;
+    this.hitRegions = [];
+    this.activeRegion = null;
+    this.treemapPath = [];
+    this.breadcrumbElement = null;
+    this.seriesCache = new Map();
+    // Bumped whenever data changes; part of the cached geometry signatures
+    this.dataVersion = 0;
+    this.zoomRange = null;
+    this.xDomain = null;
+    this.dragState = null;
+    this.pendingRender = null;
+    this.connection = null;
+    this.loadController = null;
+    this.lastLoad = null;
+    this.initTimer = null;
+    this.loadTimer = null;
+    this.focusedRegion = null;
+    this.hoverRegion = null;
+    this.eventHandlers = new Map();
+    this.accessibleElement = null;
+    this.liveRegion = null;
     
     if (this.options.showPlaceholder) {
       this.showPlaceholder();
     }
     
+    this.setupAccessibility();
+    this.callPlugins('init');
     this.init();
     this.setupResponsive();
+    this.watchColorScheme();
   }
   
   showPlaceholder() {
     this.isLoading = true;
+    this.container.setAttribute('aria-busy', 'true');
     this.container.innerHTML = '';
-    this.container.className = `vibechart-container vibechart-${this.options.theme} vibechart-${this.options.style}`;
+    this.container.className = `vibechart-container vibechart-${this.getThemeName()} vibechart-${this.options.style}`;
     
     const placeholder = document.createElement('div');
     placeholder.className = 'vibechart-placeholder';
@@ -102,683 +177,4255 @@ class VibeCharts {
       setTimeout(() => placeholder.remove(), 300);
     }
     this.isLoading = false;
+    this.container.removeAttribute('aria-busy');
   }
   
   setupResponsive() {
     if (!this.options.responsive) return;
     
     let resizeTimeout;
-    const handleResize = () => {
+    this.handleResize = () => {
       clearTimeout(resizeTimeout);
       resizeTimeout = setTimeout(() => {
-        if (this.canvas) {
-          this.canvas.width = this.container.offsetWidth;
-          this.render();
+        // Only redraw when the layout actually changed; this also stops the
+        // observer from looping on the canvas resize it triggers itself.
+        if (this.canvas && !this.isLoading && this.resizeCanvas()) {
+          this.render(false);
         }
       }, 150);
     };
     
-    window.addEventListener('resize', handleResize);
+    window.addEventListener('resize', this.handleResize);
     
     if (typeof ResizeObserver !== 'undefined') {
-      this.resizeObserver = new ResizeObserver(handleResize);
+      this.resizeObserver = new ResizeObserver(this.handleResize);
       this.resizeObserver.observe(this.container);
     }
+    
+    this.watchPixelRatio();
+  }
+  
+  // The container is the focusable chart: it carries the ARIA semantics,
+  // owns the screen-reader summary, data table and live region, and handles
+  // arrow-key navigation between data points.
+  setupAccessibility() {
+    this.container.setAttribute('role', 'figure');
+    this.addedTabIndex = !this.container.hasAttribute('tabindex');
+    if (this.addedTabIndex) {
+      this.container.setAttribute('tabindex', '0');
+    }
+    
+    this.handleKeydown = (event) => {
+      if (event.target !== this.container || this.isLoading) return;
+      const keys = ['ArrowRight', 'ArrowLeft', 'ArrowUp', 'ArrowDown', 'Home', 'End', 'Enter', ' ', 'Escape'];
+      if (!keys.includes(event.key) || this.hitRegions.length === 0) return;
+      
+      event.preventDefault();
+      if (event.key === 'Escape') {
+        this.setFocusedRegion(null);
+      } else if (event.key === 'Enter' || event.key === ' ') {
+        const region = this.hitRegions[this.focusedRegion];
+        if (region) {
+          this.emit('click', this.getEventDetail(region, this.getRegionAnchor(region), event));
+          this.handleRegionClick(region);
+        }
+      } else {
+        this.moveFocus(event.key);
+      }
+    };
+    this.handleBlur = () => this.setFocusedRegion(null);
+    this.container.addEventListener('keydown', this.handleKeydown);
+    this.container.addEventListener('blur', this.handleBlur);
+  }
+  
+  // Browser zoom and moving the window between screens change devicePixelRatio
+  // without necessarily resizing the container.
+  watchPixelRatio() {
+    if (typeof window.matchMedia !== 'function') return;
+    
+    const query = window.matchMedia(`(resolution: ${window.devicePixelRatio || 1}dppx)`);
+    const handleChange = () => {
+      query.removeEventListener('change', handleChange);
+      this.pixelRatioQuery = null;
+      if (this.canvas && !this.isLoading && this.resizeCanvas()) {
+        this.render(false);
+      }
+      this.watchPixelRatio();
+    };
+    
+    if (typeof query.addEventListener === 'function') {
+      query.addEventListener('change', handleChange);
+      this.pixelRatioQuery = { query, handleChange };
+    }
   }
   
   init() {
     this.applyTheme();
     this.createCanvas();
-    setTimeout(() => {
+    clearTimeout(this.initTimer);
+    this.initTimer = setTimeout(() => {
+      this.initTimer = null;
+      // A pending loadData owns the placeholder
+      if (this.loadController) return;
       this.hidePlaceholder();
+      if (!this.canvas || !this.container.contains(this.canvas)) {
+        this.createCanvas();
+      }
       this.render();
     }, 500);
   }
   
+  // Resolves the active theme (registered theme, then customTheme on top)
+  // into options. Options the user set explicitly always win. Theme values
+  // may use var(--name, fallback) to read custom properties of the container.
   applyTheme() {
-    const themes = {
-      lite: { backgroundColor: '#ffffff', textColor: '#333333', gridColor: '#e0e0e0' },
-      dark: { backgroundColor: '#1a1a2e', textColor: '#eee', gridColor: '#2a2a3e' },
-      gradient: { backgroundColor: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)', textColor: '#ffffff', gridColor: 'rgba(255,255,255,0.1)' },
-      glass: { backgroundColor: 'rgba(255, 255, 255, 0.1)', textColor: '#333333', gridColor: 'rgba(0,0,0,0.05)' }
-    };
-    
-    // Custom theme takes precedence
-    if (this.options.customTheme) {
-      this.options.backgroundColor = this.options.customTheme.backgroundColor || this.options.backgroundColor;
-      this.options.textColor = this.options.customTheme.textColor || this.options.textColor;
-      this.options.gridColor = this.options.customTheme.gridColor || 'rgba(128, 128, 128, 0.2)';
-      return;
-    }
+    const name = this.getThemeName();
+    const layers = [VibeCharts.themes.base, VibeCharts.themes[name] || VibeCharts.themes.dark, this.options.customTheme];
+    const definition = Object.assign({}, ...layers);
+    // Nested groups merge key by key, so a partial tooltip keeps the rest
+    ['tooltip', 'legend'].forEach(key => {
+      definition[key] = Object.assign({}, ...layers.map(layer => layer && layer[key]));
+    });
+    const style = window.getComputedStyle(this.container);
+    const resolve = value => this.resolveCssValue(value, style);
+    const textColor = resolve(definition.textColor);
     
-    const theme = themes[this.options.theme] || themes.dark;
-    if (!this.options.backgroundColor || this.options.backgroundColor === '#ffffff') {
-      this.options.backgroundColor = theme.backgroundColor;
-    }
-    if (!this.options.textColor || this.options.textColor === '#333333') {
-      this.options.textColor = theme.textColor;
+    let colors = definition.colors;
+    if (typeof colors === 'string') {
+      colors = this.splitList(resolve(colors));
     }
-    this.options.gridColor = theme.gridColor;
+    
+    this.themeName = name;
+    this.theme = {
+      backgroundColor: resolve(definition.backgroundColor),
+      textColor,
+      gridColor: resolve(definition.gridColor),
+      colors: colors.map(resolve),
+      fontFamily: resolve(definition.fontFamily),
+      tooltip: {
+        background: resolve(definition.tooltip.background),
+        color: resolve(definition.tooltip.color)
+      },
+      legend: {
+        color: resolve(definition.legend.color || textColor),
+        background: resolve(definition.legend.background || 'transparent')
+      }
+    };
+    
+    ['backgroundColor', 'textColor', 'gridColor', 'colors', 'fontFamily'].forEach(key => {
+      const explicit = this.userOptions[key];
+      this.options[key] = explicit !== undefined && explicit !== null ? explicit : this.theme[key];
+    });
   }
   
-  createCanvas() {
-    if (this.isLoading) return;
+  // 'auto' follows prefers-color-scheme
+  getThemeName() {
+    if (this.options.theme !== 'auto') return this.options.theme;
+    const dark = typeof window.matchMedia === 'function' && window.matchMedia('(prefers-color-scheme: dark)').matches;
+    return dark ? 'dark' : 'lite';
+  }
+  
+  watchColorScheme() {
+    if (typeof window.matchMedia !== 'function') return;
     
-    const existingCanvas = this.container.querySelector('canvas');
-    if (existingCanvas) {
-      existingCanvas.remove();
+    const query = window.matchMedia('(prefers-color-scheme: dark)');
+    const handleChange = () => {
+      if (this.options.theme === 'auto') this.refreshTheme();
+    };
+    if (typeof query.addEventListener === 'function') {
+      query.addEventListener('change', handleChange);
+      this.colorSchemeQuery = { query, handleChange };
     }
+  }
+  
+  // Re-reads the theme, e.g. after CSS custom properties changed
+  refreshTheme() {
+    this.applyTheme();
+    if (this.canvas && !this.isLoading) {
+      this.applyContainerTheme();
+      this.render(false);
+    }
+  }
+  
+  applyContainerTheme() {
+    const auto = this.options.theme === 'auto' ? ' vibechart-auto' : '';
+    this.container.className = `vibechart-container vibechart-${this.themeName}${auto} vibechart-${this.options.style}`;
     
-    this.container.className = `vibechart-container vibechart-${this.options.theme} vibechart-${this.options.style}`;
-    
+    this.container.style.background = '';
     if (this.options.backgroundColor.includes('gradient')) {
       this.container.style.background = this.options.backgroundColor;
     } else {
       this.container.style.backgroundColor = this.options.backgroundColor;
     }
     
-    this.canvas = document.createElement('canvas');
-    this.canvas.width = this.container.offsetWidth;
-    this.canvas.height = this.options.height;
-    this.ctx = this.canvas.getContext('2d');
-    this.container.appendChild(this.canvas);
+    const { tooltip } = this.theme;
+    this.container.style.setProperty('--vibechart-tooltip-background', tooltip.background);
+    this.container.style.setProperty('--vibechart-tooltip-color', tooltip.color);
   }
   
-  async loadData(source) {
-    this.showPlaceholder();
+  // Substitutes var(--name, fallback) references with the container's values
+  resolveCssValue(value, style) {
+    if (typeof value !== 'string' || !value.includes('var(')) return value;
     
-    if (typeof source === 'string') {
-      const response = await fetch(source);
-      this.options.data = await response.json();
-    } else {
-      this.options.data = source;
+    const start = value.indexOf('var(');
+    let depth = 0;
+    let end = start + 4;
+    for (; end < value.length; end++) {
+      if (value[end] === '(') depth += 1;
+      if (value[end] === ')') {
+        if (depth === 0) break;
+        depth -= 1;
+      }
     }
     
-    setTimeout(() => {
-      this.hidePlaceholder();
-      this.createCanvas();
-      this.render();
-    }, 500);
+    const [name, ...fallback] = this.splitList(value.slice(start + 4, end));
+    const custom = style.getPropertyValue(name).trim();
+    const replacement = custom || this.resolveCssValue(fallback.join(', '), style);
+    return this.resolveCssValue(value.slice(0, start) + replacement + value.slice(end + 1), style);
+  }
+  
+  // Splits on commas that are not inside parentheses
+  splitList(text) {
+    const parts = [];
+    let depth = 0;
+    let current = '';
+    for (const char of text) {
+      if (char === '(') depth += 1;
+      if (char === ')') depth -= 1;
+      if (char === ',' && depth === 0) {
+        parts.push(current.trim());
+        current = '';
+      } else {
+        current += char;
+      }
+    }
+    parts.push(current.trim());
+    return parts.filter(part => part !== '');
+  }
+  
+  getFont(size, weight = '') {
+    return `${weight ? `${weight} ` : ''}${size}px ${this.options.fontFamily}`;
   }
   
-  render() {
+  createCanvas() {
     if (this.isLoading) return;
     
-    this.clear();
+    const existingCanvas = this.container.querySelector('canvas, .vibechart-svg');
+    if (existingCanvas) {
+      existingCanvas.remove();
+    }
+    const errorPanel = this.container.querySelector('.vibechart-error');
+    if (errorPanel) {
+      errorPanel.remove();
+    }
     
-    const chartTypes = {
-      bar: () => this.drawBar(),
-      horizontalBar: () => this.drawHorizontalBar(),
-      line: () => this.drawLine(),
-      area: () => this.drawArea(),
-      pie: () => this.drawPie(),
-      donut: () => this.drawDonut(),
-      scatter: () => this.drawScatter(),
-      bubble: () => this.drawBubble(),
-      radar: () => this.drawRadar(),
-      polar: () => this.drawPolar(),
-      heatmap: () => this.drawHeatmap(),
-      treemap: () => this.drawTreemap(),
-      gauge: () => this.drawGauge(),
-      waterfall: () => this.drawWaterfall()
-    };
+    this.applyContainerTheme();
     
-    if (this.options.title) {
-      this.drawTitle();
+    // The SVG renderer draws into a recording context and mirrors it into a
+    // wrapper element, which stands in for the canvas for sizing and events
+    if (this.options.renderer === 'svg') {
+      this.canvas = document.createElement('div');
+      this.canvas.className = 'vibechart-svg';
+      this.ctx = new VibeChartsSVGContext();
+    } else {
+      this.canvas = document.createElement('canvas');
+      this.ctx = this.canvas.getContext('2d');
     }
+    this.container.appendChild(this.canvas);
+    this.width = 0;
+    this.height = 0;
+    this.resizeCanvas();
+    this.setupInteraction();
+    this.setupZoom();
+  }
+  
+  // Sizes the backing store to the CSS size times devicePixelRatio and scales
+  // the context so draw methods keep working in CSS pixels (this.width / this.height).
+  // Returns true when the size or pixel ratio changed.
+  resizeCanvas() {
+    const { width, height } = this.measureCanvas();
+    const vector = this.ctx instanceof VibeChartsSVGContext;
+    const ratio = vector ? 1 : window.devicePixelRatio || 1;
     
-    if (chartTypes[this.options.type]) {
-      chartTypes[this.options.type]();
+    if (width === this.width && height === this.height && ratio === this.pixelRatio) {
+      return false;
     }
     
-    if (this.options.showLegend && this.options.data.length > 0) {
-      this.drawExternalLegend();
+    this.width = width;
+    this.height = height;
+    this.pixelRatio = ratio;
+    if (vector) {
+      this.ctx.resize(width, height);
+    } else {
+      this.canvas.width = Math.round(width * ratio);
+      this.canvas.height = Math.round(height * ratio);
     }
+    this.canvas.style.width = `${width}px`;
+    this.canvas.style.height = `${height}px`;
+    this.ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    return true;
   }
   
-  clear() {
-    this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
-  }
-  
-  drawTitle() {
-    this.ctx.fillStyle = this.options.textColor;
-    this.ctx.font = 'bold 20px Inter, Arial';
-    this.ctx.textAlign = 'center';
-    this.ctx.fillText(this.options.title, this.canvas.width / 2, 30);
-  }
-  
-  drawGrid() {
-    if (!this.options.showGrid) return;
+  // Space available to the canvas: the container's content box minus the
+  // legend and breadcrumb. `width` / `height` accept pixels or percentages.
+  measureCanvas() {
+    const style = window.getComputedStyle(this.container);
+    const paddingX = (parseFloat(style.paddingLeft) || 0) + (parseFloat(style.paddingRight) || 0);
+    const paddingY = (parseFloat(style.paddingTop) || 0) + (parseFloat(style.paddingBottom) || 0);
+    const legend = this.legendElement && this.container.contains(this.legendElement) ? this.legendElement : null;
+    const sideLegend = legend && /vibechart-legend-(left|right)/.test(legend.className);
     
-    this.ctx.strokeStyle = this.options.gridColor;
-    this.ctx.lineWidth = 1;
-    this.ctx.setLineDash([5, 5]);
+    let availableWidth = this.container.clientWidth - paddingX;
+    let availableHeight = this.container.clientHeight - paddingY;
+    if (legend) {
+      if (sideLegend) {
+        availableWidth -= legend.offsetWidth;
+      } else {
+        availableHeight -= legend.offsetHeight;
+      }
+    }
+    if (this.breadcrumbElement && this.container.contains(this.breadcrumbElement)) {
+      availableHeight -= this.breadcrumbElement.offsetHeight + 8;
+    }
     
-    const padding = 60;
-    const chartHeight = this.canvas.height - padding * 2;
-    const gridLines = 5;
+    const resolve = (value, available) => {
+      if (typeof value === 'number') return value;
+      if (typeof value === 'string' && value.trim().endsWith('%')) {
+        return (available * parseFloat(value)) / 100;
+      }
+      return parseFloat(value) || available;
+    };
     
-    for (let i = 0; i <= gridLines; i++) {
-      const y = padding + (chartHeight / gridLines) * i;
-      this.ctx.beginPath();
-      this.ctx.moveTo(padding, y);
-      this.ctx.lineTo(this.canvas.width - padding, y);
-      this.ctx.stroke();
+    return {
+      width: Math.max(1, Math.floor(Math.min(resolve(this.options.width, availableWidth), availableWidth))),
+      height: Math.max(1, Math.floor(resolve(this.options.height, availableHeight)))
+    };
+  }
+  
+  setupInteraction() {
+    if (!this.tooltipElement || !this.container.contains(this.tooltipElement)) {
+      this.tooltipElement = document.createElement('div');
+      this.tooltipElement.className = 'vibechart-tooltip';
+      this.container.appendChild(this.tooltipElement);
     }
     
-    this.ctx.setLineDash([]);
+    const handleMove = (event) => {
+      if (this.dragState) return;
+      const position = this.getPointerPosition(event);
+      const region = this.hitTest(position.x, position.y);
+      this.canvas.style.cursor = region ? 'pointer' : '';
+      
+      if (region) {
+        this.showTooltip(region);
+      } else {
+        this.hideTooltip();
+      }
+      this.setHoverRegion(region, position, event);
+    };
+    
+    this.canvas.addEventListener('pointermove', handleMove);
+    this.canvas.addEventListener('pointerdown', handleMove);
+    this.canvas.addEventListener('pointerleave', (event) => {
+      this.hideTooltip();
+      this.setHoverRegion(null, this.getPointerPosition(event), event);
+    });
+    this.canvas.addEventListener('click', (event) => {
+      const position = this.getPointerPosition(event);
+      const region = this.hitTest(position.x, position.y);
+      this.emit('click', this.getEventDetail(region, position, event));
+      if (region) {
+        this.handleRegionClick(region);
+      }
+    });
   }
   
-  getColor(index, mode = 'series') {
-    const colors = this.options.colors;
+  // Emits `leave` for the previously hovered item and `hover` for the new one
+  setHoverRegion(region, position, event) {
+    const previous = this.hoverRegion;
+    const same = previous && region && previous.index === region.index && previous.series === region.series;
+    if (same || previous === region) return;
     
-    if (mode === 'individual') {
-      return colors[index % colors.length];
-    } else if (mode === 'shade') {
-      const baseColor = colors[0];
-      return this.adjustBrightness(baseColor, 1 - (index * 0.15));
+    this.hoverRegion = region;
+    if (previous) {
+      this.emit('leave', this.getEventDetail(previous, position, event));
+    }
+    if (region) {
+      this.emit('hover', this.getEventDetail(region, position, event));
     }
-    
-    return colors[index % colors.length];
   }
   
-  adjustBrightness(color, factor) {
-    const rgb = this.hexToRgb(color);
-    const r = Math.min(255, Math.max(0, Math.round(rgb.r * factor)));
-    const g = Math.min(255, Math.max(0, Math.round(rgb.g * factor)));
-    const b = Math.min(255, Math.max(0, Math.round(rgb.b * factor)));
-    return `rgb(${r},${g},${b})`;
+  handleRegionClick(region) {
+    if (region.drilldown) {
+      this.drillDown(region.drilldown);
+    }
   }
   
-  getRadius() {
-    const radii = { sharp: 0, default: 4, soft: 18, rounded: 51 };
-    return radii[this.options.style] || 4;
+  // Arrow keys step through points in drawing order; Up / Down jump to the
+  // same category in the neighbouring series when there is one.
+  moveFocus(key) {
+    const regions = this.hitRegions;
+    const current = this.focusedRegion;
+    const last = regions.length - 1;
+    let next;
+    
+    if (current === null || current > last) {
+      next = key === 'End' || key === 'ArrowLeft' ? last : 0;
+    } else if (key === 'Home' || key === 'End') {
+      next = key === 'Home' ? 0 : last;
+    } else if (key === 'ArrowUp' || key === 'ArrowDown') {
+      const direction = key === 'ArrowDown' ? 1 : -1;
+      const region = regions[current];
+      const series = [...new Set(regions.map(item => item.series))];
+      const target = series[series.indexOf(region.series) + direction];
+      const match = regions.findIndex(item => item.series === target && item.index === region.index);
+      next = match >= 0 ? match : Math.min(Math.max(current + direction, 0), last);
+    } else {
+      next = Math.min(Math.max(current + (key === 'ArrowRight' ? 1 : -1), 0), last);
+    }
+    
+    this.setFocusedRegion(next);
   }
   
-  drawRoundedRect(x, y, width, height, radius) {
-    this.ctx.beginPath();
-    this.ctx.moveTo(x + radius, y);
-    this.ctx.lineTo(x + width - radius, y);
-    this.ctx.quadraticCurveTo(x + width, y, x + width, y + radius);
-    this.ctx.lineTo(x + width, y + height - radius);
-    this.ctx.quadraticCurveTo(x + width, y + height, x + width - radius, y + height);
-    this.ctx.lineTo(x + radius, y + height);
-    this.ctx.quadraticCurveTo(x, y + height, x, y + height - radius);
-    this.ctx.lineTo(x, y + radius);
-    this.ctx.quadraticCurveTo(x, y, x + radius, y);
-    this.ctx.closePath();
+  setFocusedRegion(index) {
+    if (index === this.focusedRegion) return;
+    this.focusedRegion = index;
+    this.render(false);
+    
+    const region = this.hitRegions[index];
+    if (region) {
+      this.showTooltip(region);
+      const series = region.series ? `${region.series}, ` : '';
+      const value = this.formatValue(region.value, { kind: 'summary', label: region.label, series: region.series, index: region.index });
+      const position = this.getString('position', { index: index + 1, count: this.hitRegions.length });
+      this.announce(`${series}${region.label}: ${value}. ${position}`);
+    }
   }
   
-  applyGradient(x, y, width, height) {
-    if (!this.options.gradient) return null;
+  drawFocusIndicator() {
+    const region = this.hitRegions[this.focusedRegion];
+    if (!region) return;
     
-    const gradient = this.ctx.createLinearGradient(x, y, x, y + height);
-    gradient.addColorStop(0, this.options.gradientColors[0]);
-    gradient.addColorStop(1, this.options.gradientColors[1]);
-    return gradient;
+    this.ctx.save();
+    this.ctx.strokeStyle = this.options.textColor;
+    this.ctx.lineWidth = 2;
+    this.ctx.setLineDash([4, 3]);
+    this.ctx.beginPath();
+    if (region.shape === 'rect') {
+      const left = Math.min(region.x, region.x + region.width);
+      const top = Math.min(region.y, region.y + region.height);
+      this.ctx.rect(left - 3, top - 3, Math.abs(region.width) + 6, Math.abs(region.height) + 6);
+    } else if (region.shape === 'circle') {
+      this.ctx.arc(region.x, region.y, region.radius + 4, 0, Math.PI * 2);
+    } else {
+      this.ctx.arc(region.x, region.y, region.outerRadius + 3, region.startAngle, region.endAngle);
+      this.ctx.arc(region.x, region.y, Math.max(0, (region.innerRadius || 0) - 3), region.endAngle, region.startAngle, true);
+      this.ctx.closePath();
+    }
+    this.ctx.stroke();
+    this.ctx.restore();
   }
   
-  drawBar() {
-    const data = this.options.data;
-    const padding = 60;
-    const chartWidth = this.canvas.width - padding * 2;
-    const chartHeight = this.canvas.height - padding * 2;
-    const barWidth = chartWidth / data.length - 10;
-    const maxValue = Math.max(...data.map(d => d.value || d));
+  announce(message) {
+    if (this.liveRegion) {
+      this.liveRegion.textContent = message;
+    }
+  }
+  
+  // Refreshes the accessible name, the summary and the visually hidden data
+  // table so assistive technology sees the same data as the canvas.
+  updateAccessibility() {
+    if (!this.accessibleElement || !this.container.contains(this.accessibleElement)) {
+      this.accessibleElement = document.createElement('div');
+      this.accessibleElement.className = 'vibechart-sr-only';
+      this.container.appendChild(this.accessibleElement);
+    }
+    if (!this.liveRegion || !this.container.contains(this.liveRegion)) {
+      this.liveRegion = document.createElement('div');
+      this.liveRegion.className = 'vibechart-sr-only';
+      this.liveRegion.setAttribute('aria-live', 'polite');
+      this.liveRegion.setAttribute('aria-atomic', 'true');
+      this.container.appendChild(this.liveRegion);
+    }
     
-    this.drawGrid();
+    const summaryId = `${this.container.id}-summary`;
+    const table = this.getTableData();
+    this.container.setAttribute('aria-label', this.options.title || this.getTypeName());
+    this.container.setAttribute('aria-describedby', summaryId);
+    this.canvas.setAttribute('aria-hidden', 'true');
     
-    data.forEach((item, i) => {
-      const value = item.value || item;
-      const targetHeight = (value / maxValue) * chartHeight;
-      const x = padding + i * (barWidth + 10);
-      const y = this.canvas.height - padding - targetHeight;
-      
-      const color = this.applyGradient(x, y, barWidth, targetHeight) || 
-                    this.getColor(i, this.options.barColorMode);
-      this.ctx.fillStyle = color;
-      
-      this.drawRoundedRect(x, y, barWidth, targetHeight, this.getRadius());
-      this.ctx.fill();
-      
-      // Labels
-      if (this.options.showLabels) {
-        this.ctx.fillStyle = this.options.textColor;
-        this.ctx.font = '11px Inter, Arial';
-        this.ctx.textAlign = 'center';
-        const label = item.label || `Item ${i + 1}`;
-        this.ctx.fillText(label, x + barWidth / 2, this.canvas.height - padding + 20);
-        this.ctx.fillText(value, x + barWidth / 2, y - 10);
-      }
-    });
+    // Long series keep the table readable (and rendering fast) by listing the
+    // first rows only; the summary still covers all the data
+    const rowLimit = 500;
+    const rows = table.rows.slice(0, rowLimit);
+    const omitted = table.rows.length - rows.length;
+    const cell = value => this.escapeHtml(value === null || value === undefined ? '' : value);
+    this.accessibleElement.innerHTML = `
+      <p id="${summaryId}">${this.escapeHtml(this.options.description || this.getSummary(table))}</p>
+      <table>
+        <caption>${this.escapeHtml(this.options.title || this.getTypeName())}</caption>
+        <thead><tr>${table.columns.map(column => `<th scope="col">${cell(column)}</th>`).join('')}</tr></thead>
+        <tbody>${rows.map(row => `<tr>${row.map((value, i) => (
+          i === 0 ? `<th scope="row">${cell(value)}</th>` : `<td>${cell(value)}</td>`
+        )).join('')}</tr>`).join('')}</tbody>
+        ${omitted > 0 ? `<tfoot><tr><td colspan="${table.columns.length}">${this.escapeHtml(this.getString('moreRows', { count: omitted }))}</td></tr></tfoot>` : ''}
+      </table>
+    `;
   }
   
-  drawHorizontalBar() {
-    const data = this.options.data;
-    const padding = 80;
-    const chartWidth = this.canvas.width - padding * 2;
-    const chartHeight = this.canvas.height - padding * 2;
-    const barHeight = chartHeight / data.length - 10;
-    const maxValue = Math.max(...data.map(d => d.value || d));
-    
-    data.forEach((item, i) => {
-      const value = item.value || item;
-      const barWidth = (value / maxValue) * chartWidth;
-      const x = padding;
-      const y = padding + i * (barHeight + 10);
-      
-      const color = this.applyGradient(x, y, barWidth, barHeight) || 
-                    this.getColor(i, this.options.barColorMode);
-      this.ctx.fillStyle = color;
-      
-      this.drawRoundedRect(x, y, barWidth, barHeight, this.getRadius());
-      this.ctx.fill();
-      
-      this.ctx.fillStyle = this.options.textColor;
-      this.ctx.font = '12px Inter, Arial';
-      this.ctx.textAlign = 'right';
-      const label = item.label || `Item ${i + 1}`;
-      this.ctx.fillText(label, padding - 10, y + barHeight / 2 + 4);
-      this.ctx.textAlign = 'left';
-      this.ctx.fillText(value, x + barWidth + 5, y + barHeight / 2 + 4);
-    });
+  getTypeName() {
+    const names = { ...VibeCharts.strings.types, ...(this.options.strings && this.options.strings.types) };
+    return names[this.options.type] || names.chart;
   }
   
-  drawLine() {
-    const data = this.options.data;
-    const padding = 60;
-    const chartWidth = this.canvas.width - padding * 2;
-    const chartHeight = this.canvas.height - padding * 2;
-    const maxValue = Math.max(...data.map(d => d.value || d));
-    const step = chartWidth / (data.length - 1);
-    
-    this.drawGrid();
+  // Tabular view of the data: one row per item (or category, for several
+  // series), first column being the row header.
+  getTableData() {
+    const type = this.options.type;
     
-    const lineColor = this.options.lineColorMode === 'gradient' 
-      ? this.ctx.createLinearGradient(padding, 0, this.canvas.width - padding, 0)
-      : this.getColor(0);
-      
-    if (this.options.lineColorMode === 'gradient') {
-      lineColor.addColorStop(0, this.options.colors[0]);
-      lineColor.addColorStop(1, this.options.colors[1] || this.options.colors[0]);
+    if (type === 'scatter' || type === 'bubble') {
+      const columns = [this.getString('label'), 'X', 'Y'];
+      if (type === 'bubble') columns.push(this.getString('size'));
+      const rows = [];
+      this.getPointSeries().forEach(series => series.data.forEach((item, i) => {
+        const row = [item.label || `${series.name} ${i + 1}`, item.x, item.y];
+        if (type === 'bubble') row.push(item.r);
+        rows.push(row);
+      }));
+      return { columns, rows };
     }
     
-    // Draw fill if enabled
-    if (this.options.lineFill) {
-      const gradient = this.ctx.createLinearGradient(0, padding, 0, this.canvas.height - padding);
-      gradient.addColorStop(0, this.options.colors[0] + Math.floor(this.options.fillOpacity * 255).toString(16).padStart(2, '0'));
-      gradient.addColorStop(1, this.options.colors[0] + '00');
-      
-      this.ctx.fillStyle = gradient;
-      this.ctx.beginPath();
-      this.ctx.moveTo(padding, this.canvas.height - padding);
-      
-      data.forEach((item, i) => {
-        const value = item.value || item;
-        const x = padding + i * step;
-        const y = this.canvas.height - padding - (value / maxValue) * chartHeight;
-        this.ctx.lineTo(x, y);
-      });
-      
-      this.ctx.lineTo(padding + (data.length - 1) * step, this.canvas.height - padding);
-      this.ctx.closePath();
-      this.ctx.fill();
+    if (type === 'treemap') {
+      const node = this.getTreemapNode();
+      return {
+        columns: [this.getString('label'), this.getString('value')],
+        rows: (node.children || []).map(child => [child.label, this.getTreemapValue(child)])
+      };
     }
     
-    // Draw line
-    this.ctx.strokeStyle = lineColor;
-    this.ctx.lineWidth = 3;
-    this.ctx.beginPath();
+    if (type === 'gauge') {
+      return {
+        columns: [this.getString('label'), this.getString('value')],
+        rows: this.getGaugeItems().map((item, i) => [
+          item.label || this.getString('item', { index: i + 1 }), this.getGaugeConfig(item).value
+        ])
+      };
+    }
     
-    data.forEach((item, i) => {
-      const value = item.value || item;
-      const x = padding + i * step;
-      const y = this.canvas.height - padding - (value / maxValue) * chartHeight;
-      
-      if (i === 0) {
-        this.ctx.moveTo(x, y);
-      } else {
-        this.ctx.lineTo(x, y);
+    if (type === 'heatmap') {
+      const config = this.getHeatmapConfig();
+      if (config.layout === 'calendar') {
+        const dayFormat = this.getDateFormat({ year: 'numeric', month: 'short', day: 'numeric' });
+        return {
+          columns: [this.getString('label'), this.getString('value')],
+          rows: this.getCalendarDays().filter(day => day.value !== null).map(day => [dayFormat.format(day.date), day.value])
+        };
       }
-    });
+      const data = Array.isArray(this.options.data) ? this.options.data : [];
+      const count = data.reduce((max, row) => Math.max(max, (row.values || []).length), 0);
+      return {
+        columns: [this.getString('rowHeader'), ...Array.from({ length: count }, (_, j) => this.getHeatmapColumn(config, j))],
+        rows: data.map((row, i) => [row.label || this.getString('row', { index: i + 1 }), ...(row.values || [])])
+      };
+    }
     
-    this.ctx.stroke();
+    const datasets = this.getDatasets();
+    if (this.isMultiSeries()) {
+      const labels = this.getCategoryLabels(datasets);
+      return {
+        columns: [this.getString('label'), ...datasets.map(dataset => dataset.name)],
+        rows: labels.map((label, i) => [label, ...datasets.map(dataset => (
+          dataset.data[i] === undefined ? null : this.getValue(dataset.data[i])
+        ))])
+      };
+    }
     
-    // Draw points
-    data.forEach((item, i) => {
-      const value = item.value || item;
-      const x = padding + i * step;
-      const y = this.canvas.height - padding - (value / maxValue) * chartHeight;
-      
-      const pointColor = this.options.lineColorMode === 'individual' 
-        ? this.getColor(i) 
-        : (typeof lineColor === 'string' ? lineColor : this.options.colors[0]);
-      
-      this.ctx.fillStyle = pointColor;
-      this.ctx.beginPath();
-      this.ctx.arc(x, y, 5, 0, Math.PI * 2);
-      this.ctx.fill();
-    });
+    const { data } = datasets[0];
+    return {
+      columns: [this.getString('label'), this.getString('value')],
+      rows: data.map((item, i) => [item.label !== undefined ? item.label : this.getString('item', { index: i + 1 }), this.getValue(item)])
+    };
   }
   
-  drawArea() {
-    const data = this.options.data;
-    const padding = 60;
-    const chartWidth = this.canvas.width - padding * 2;
-    const chartHeight = this.canvas.height - padding * 2;
-    const maxValue = Math.max(...data.map(d => d.value || d));
-    const step = chartWidth / (data.length - 1);
-    
-    this.drawGrid();
-    
-    const gradient = this.ctx.createLinearGradient(0, padding, 0, this.canvas.height - padding);
-    gradient.addColorStop(0, this.options.colors[0] + '80');
-    gradient.addColorStop(1, this.options.colors[0] + '10');
-    
-    this.ctx.fillStyle = gradient;
-    this.ctx.beginPath();
+  // One or two sentences describing the chart: its type, size and value range.
+  getSummary(table) {
+    // Scatter and bubble tables summarise Y; other tables every value column
+    const yColumn = ['scatter', 'bubble'].includes(this.options.type) ? 2 : -1;
+    let min = null;
+    let max = null;
+    table.rows.forEach(row => {
+      (yColumn > 0 ? [row[yColumn]] : row.slice(1)).forEach(value => {
+        if (typeof value !== 'number' || !Number.isFinite(value)) return;
+        if (!min || value < min.value) min = { value, label: row[0] };
+        if (!max || value > max.value) max = { value, label: row[0] };
+      });
+    });
     
-    this.ctx.moveTo(padding, this.canvas.height - padding);
-    data.forEach((item, i) => {
-      const value = item.value || item;
-      const x = padding + i * step;
-      const y = this.canvas.height - padding - (value / maxValue) * chartHeight;
-      this.ctx.lineTo(x, y);
+    const format = value => this.formatValue(value, { kind: 'summary' });
+    const size = table.columns.length > 2 && this.isMultiSeries()
+      ? this.getString('summarySeries', { series: table.columns.length - 1, count: table.rows.length })
+      : this.getString(table.rows.length === 1 ? 'summaryItem' : 'summaryItems', { count: table.rows.length });
+    const range = min && max && min.value !== max.value
+      ? ` ${this.getString('summaryRange', { min: format(min.value), minLabel: min.label, max: format(max.value), maxLabel: max.label })}`
+      : '';
+    return this.getString('summary', {
+      name: this.getTypeName(),
+      title: this.options.title ? ` "${this.options.title}"` : '',
+      size
+    }) + range;
+  }
+  
+  // Converts a pointer event into the canvas coordinate space used by the draw methods.
+  getPointerPosition(event) {
+    const rect = this.canvas.getBoundingClientRect();
+    const scaleX = rect.width ? this.width / rect.width : 1;
+    const scaleY = rect.height ? this.height / rect.height : 1;
+    return {
+      x: (event.clientX - rect.left) * scaleX,
+      y: (event.clientY - rect.top) * scaleY
+    };
+  }
+  
+  // Draw methods record the geometry of every item they paint so pointer
+  // events can be resolved back to data. Shapes: rect, circle and arc.
+  addHitRegion(region) {
+    this.hitRegions.push(region);
+  }
+  
+  hitTest(x, y) {
+    for (let i = this.hitRegions.length - 1; i >= 0; i--) {
+      const region = this.hitRegions[i];
+      if (this.regionContains(region, x, y)) {
+        return region;
+      }
+    }
+    return null;
+  }
+  
+  addSeriesHitRegion(point, radius, dataset, label, index) {
+    this.addHitRegion({
+      shape: 'circle', x: point.x, y: point.y, radius,
+      label, value: this.getValue(dataset.data[index]), series: this.getSeriesName(dataset), index: dataset.indices[index], item: dataset.data[index]
     });
-    this.ctx.lineTo(padding + (data.length - 1) * step, this.canvas.height - padding);
-    this.ctx.closePath();
-    this.ctx.fill();
+  }
+  
+  regionContains(region, x, y) {
+    if (region.shape === 'rect') {
+      const left = Math.min(region.x, region.x + region.width);
+      const top = Math.min(region.y, region.y + region.height);
+      return x >= left && x <= left + Math.abs(region.width) &&
+             y >= top && y <= top + Math.abs(region.height);
+    }
     
-    this.ctx.strokeStyle = this.options.colors[0];
-    this.ctx.lineWidth = 2;
-    this.ctx.beginPath();
+    if (region.shape === 'circle') {
+      const radius = Math.max(region.radius, 8);
+      return Math.hypot(x - region.x, y - region.y) <= radius;
+    }
     
-    data.forEach((item, i) => {
-      const value = item.value || item;
-      const x = padding + i * step;
-      const y = this.canvas.height - padding - (value / maxValue) * chartHeight;
+    if (region.shape === 'arc') {
+      const distance = Math.hypot(x - region.x, y - region.y);
+      if (distance < (region.innerRadius || 0) || distance > region.outerRadius) return false;
       
-      if (i === 0) {
-        this.ctx.moveTo(x, y);
-      } else {
-        this.ctx.lineTo(x, y);
-      }
-    });
+      let angle = Math.atan2(y - region.y, x - region.x);
+      while (angle < region.startAngle) angle += Math.PI * 2;
+      return angle <= region.endAngle;
+    }
     
-    this.ctx.stroke();
+    return false;
+  }
+  
+  getRegionAnchor(region) {
+    if (region.shape === 'rect') {
+      return { x: region.x + region.width / 2, y: Math.min(region.y, region.y + region.height) };
+    }
+    if (region.shape === 'circle') {
+      return { x: region.x, y: region.y - region.radius };
+    }
+    
+    const angle = (region.startAngle + region.endAngle) / 2;
+    const distance = ((region.innerRadius || 0) + region.outerRadius) / 2;
+    return { x: region.x + Math.cos(angle) * distance, y: region.y + Math.sin(angle) * distance };
+  }
+  
+  showTooltip(region) {
+    if (!this.options.showTooltip || !this.tooltipElement) return;
+    
+    const point = {
+      label: region.label,
+      value: region.value,
+      series: region.series,
+      index: region.index,
+      item: region.item
+    };
+    
+    if (this.activeRegion !== region) {
+      this.tooltipElement.innerHTML = this.options.tooltipFormatter
+        ? this.options.tooltipFormatter(point)
+        : this.formatTooltip(point);
+      this.activeRegion = region;
+    }
+    
+    const rect = this.canvas.getBoundingClientRect();
+    const scale = this.width ? rect.width / this.width : 1;
+    const anchor = this.getRegionAnchor(region);
+    const left = this.canvas.offsetLeft + anchor.x * scale;
+    const top = this.canvas.offsetTop + anchor.y * scale;
+    
+    this.tooltipElement.style.left = `${left - this.tooltipElement.offsetWidth / 2}px`;
+    this.tooltipElement.style.top = `${top - this.tooltipElement.offsetHeight - 10}px`;
+    this.tooltipElement.classList.add('active');
+  }
+  
+  hideTooltip() {
+    this.activeRegion = null;
+    if (this.tooltipElement) {
+      this.tooltipElement.classList.remove('active');
+    }
+  }
+  
+  formatTooltip(point) {
+    const series = point.series
+      ? `<div>${this.escapeHtml(point.series)}</div>`
+      : '';
+    const label = this.formatLabel(point.label, { kind: 'tooltip', index: point.index });
+    const value = this.formatValue(point.value, { kind: 'tooltip', label: point.label, series: point.series, index: point.index });
+    return `<strong>${this.escapeHtml(label)}</strong>${series}<div>${this.escapeHtml(value)}</div>`;
+  }
+  
+  escapeHtml(text) {
+    return String(text === undefined || text === null ? '' : text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+  
+  // Visible part of the x extent after zoom, pan or brushing. Remembers the
+  // extent and plot area so pointer handlers can map pixels to x values.
+  getXDomain(extent, area, type = 'category') {
+    let { min, max } = extent;
+    if (this.zoomRange && this.zoomRange.type === type) {
+      const span = Math.min(this.zoomRange.max - this.zoomRange.min, extent.max - extent.min);
+      min = Math.min(Math.max(this.zoomRange.min, extent.min), extent.max - span);
+      max = min + span;
+    }
+    
+    this.xDomain = { type, extent, area, min, max };
+    return { min, max };
+  }
+  
+  hasOverview() {
+    return Boolean(this.options.overview) && ['line', 'area', 'bar'].includes(this.options.type);
+  }
+  
+  getOverviewBounds() {
+    const area = this.getChartArea();
+    return { left: area.left, right: area.right, width: area.width, top: this.height - 48, height: 36 };
+  }
+  
+  // Wheel / pinch zoom and drag pan on the x axis, plus dragging the overview
+  // brush. All of it is inert unless `zoom` or `overview` is enabled.
+  setupZoom() {
+    const pointers = new Map();
+    const enabled = () => this.xDomain && (this.options.zoom || this.hasOverview());
+    this.canvas.style.touchAction = this.options.zoom ? 'none' : '';
+    
+    this.canvas.addEventListener('wheel', (event) => {
+      if (!enabled() || !this.options.zoom) return;
+      const { x, y } = this.getPointerPosition(event);
+      const { area } = this.xDomain;
+      if (x < area.left || x > area.right || y < area.top || y > area.bottom) return;
+      
+      event.preventDefault();
+      this.zoomAround(Math.exp(event.deltaY * 0.002), x, this.xDomain);
+    }, { passive: false });
+    
+    this.canvas.addEventListener('dblclick', () => {
+      if (enabled() && this.zoomRange) this.resetZoom();
+    });
+    
+    this.canvas.addEventListener('pointerdown', (event) => {
+      if (!enabled()) return;
+      const position = this.getPointerPosition(event);
+      pointers.set(event.pointerId, position);
+      
+      const { min, max, area } = this.xDomain;
+      const overview = this.hasOverview() ? this.getOverviewBounds() : null;
+      let mode = null;
+      
+      if (pointers.size === 2 && this.options.zoom) {
+        const [a, b] = [...pointers.values()];
+        this.dragState = { mode: 'pinch', distance: Math.abs(a.x - b.x) || 1, center: (a.x + b.x) / 2, domain: { ...this.xDomain } };
+        return;
+      }
+      
+      if (overview && position.y >= overview.top && position.y <= overview.top + overview.height) {
+        const toPixel = value => this.mapOverview(value, overview);
+        const left = toPixel(min);
+        const right = toPixel(max);
+        if (Math.abs(position.x - left) <= 6) mode = 'resize-min';
+        else if (Math.abs(position.x - right) <= 6) mode = 'resize-max';
+        else if (position.x > left && position.x < right) mode = 'move';
+        else mode = 'select';
+      } else if (this.options.zoom && position.x >= area.left && position.x <= area.right &&
+                 position.y >= area.top && position.y <= area.bottom) {
+        mode = 'pan';
+      }
+      
+      if (mode) {
+        this.dragState = { mode, startX: position.x, min, max, overview };
+        this.canvas.setPointerCapture?.(event.pointerId);
+        this.hideTooltip();
+      }
+    });
+    
+    this.canvas.addEventListener('pointermove', (event) => {
+      if (!this.dragState || !pointers.has(event.pointerId)) return;
+      const position = this.getPointerPosition(event);
+      pointers.set(event.pointerId, position);
+      this.handleZoomDrag(position, pointers);
+    });
+    
+    const endDrag = (event) => {
+      pointers.delete(event.pointerId);
+      if (pointers.size === 0 || (this.dragState && this.dragState.mode === 'pinch')) {
+        this.dragState = null;
+      }
+    };
+    this.canvas.addEventListener('pointerup', endDrag);
+    this.canvas.addEventListener('pointercancel', endDrag);
+  }
+  
+  handleZoomDrag(position, pointers) {
+    const state = this.dragState;
+    const { extent, area } = this.xDomain;
+    
+    if (state.mode === 'pinch') {
+      if (pointers.size < 2) return;
+      const [a, b] = [...pointers.values()];
+      const distance = Math.abs(a.x - b.x) || 1;
+      this.zoomAround(state.distance / distance, state.center, state.domain);
+      return;
+    }
+    
+    if (state.mode === 'pan') {
+      const shift = ((position.x - state.startX) / area.width) * (state.max - state.min);
+      this.setXRange(state.min - shift, state.max - shift);
+      return;
+    }
+    
+    const { overview } = state;
+    const toValue = x => extent.min + ((x - overview.left) / overview.width) * (extent.max - extent.min);
+    const value = Math.min(Math.max(toValue(position.x), extent.min), extent.max);
+    const shift = toValue(position.x) - toValue(state.startX);
+    const minSpan = this.getMinimumSpan();
+    
+    if (state.mode === 'move') {
+      this.setXRange(state.min + shift, state.max + shift);
+    } else if (state.mode === 'resize-min') {
+      this.setXRange(Math.min(value, state.max - minSpan), state.max);
+    } else if (state.mode === 'resize-max') {
+      this.setXRange(state.min, Math.max(value, state.min + minSpan));
+    } else {
+      const anchor = Math.min(Math.max(toValue(state.startX), extent.min), extent.max);
+      if (Math.abs(value - anchor) >= minSpan) {
+        this.setXRange(Math.min(anchor, value), Math.max(anchor, value));
+      }
+    }
+  }
+  
+  getMinimumSpan() {
+    const { type, extent } = this.xDomain;
+    return Math.min(extent.max - extent.min, type === 'time' ? 1000 : 1);
+  }
+  
+  // Scales the visible span by `factor`, keeping the value under pixel x fixed
+  zoomAround(factor, x, domain) {
+    const { extent, area, min, max } = domain;
+    const span = Math.min(Math.max((max - min) * factor, this.getMinimumSpan()), extent.max - extent.min);
+    const ratio = Math.min(Math.max((x - area.left) / area.width, 0), 1);
+    const anchor = min + ratio * (max - min);
+    this.setXRange(anchor - ratio * span, anchor - ratio * span + span);
+  }
+  
+  // Shows [min, max] of the x domain (category index or epoch ms), clamped to
+  // the data. Selecting the whole extent clears the zoom.
+  setXRange(min, max) {
+    if (!this.xDomain) return;
+    const { type, extent } = this.xDomain;
+    const span = Math.min(Math.max(max - min, 0), extent.max - extent.min);
+    const start = Math.min(Math.max(min, extent.min), extent.max - span);
+    const full = span >= extent.max - extent.min;
+    
+    if (this.xDomain.min === start && this.xDomain.max === start + span) return;
+    this.zoomRange = full ? null : { type, min: start, max: start + span };
+    this.render(false);
+    this.emitRangeChange();
+  }
+  
+  resetZoom() {
+    if (!this.zoomRange) return;
+    this.zoomRange = null;
+    this.render(false);
+    this.emitRangeChange();
+  }
+  
+  emitRangeChange() {
+    if (!this.xDomain) return;
+    const { type, min, max } = this.xDomain;
+    const toValue = value => (type === 'time' ? new Date(value) : value);
+    this.emit('rangechange', { type, min: toValue(min), max: toValue(max), zoomed: Boolean(this.zoomRange) }, true);
+  }
+  
+  // Registers a handler for a chart event: click, hover, leave, legendclick,
+  // beforeRender, afterRender, dataLoaded, destroy, rangechange,
+  // connectionchange or error. Handlers receive the event detail.
+  on(name, handler) {
+    if (!this.eventHandlers.has(name)) {
+      this.eventHandlers.set(name, new Set());
+    }
+    this.eventHandlers.get(name).add(handler);
+    return this;
+  }
+  
+  // Removes one handler, every handler of an event, or (without arguments)
+  // every handler
+  off(name, handler) {
+    if (name === undefined) {
+      this.eventHandlers.clear();
+    } else if (handler === undefined) {
+      this.eventHandlers.delete(name);
+    } else if (this.eventHandlers.has(name)) {
+      this.eventHandlers.get(name).delete(handler);
+    }
+    return this;
+  }
+  
+  // Calls the handlers registered with on(). With `dispatch`, the event is
+  // also fired as a CustomEvent on the container for code without a chart
+  // reference; pointer and lifecycle events are not, since names such as
+  // `click` would clash with native events.
+  emit(name, detail, dispatch = false) {
+    this.callPlugins('event', name, detail);
+    const handlers = this.eventHandlers.get(name);
+    if (handlers) {
+      [...handlers].forEach(handler => handler.call(this, detail));
+    }
+    if (dispatch) {
+      this.container.dispatchEvent(new CustomEvent(name, { detail }));
+    }
+  }
+  
+  // Detail for pointer events: the data behind `region` (null over empty
+  // space) and the position in canvas coordinates
+  getEventDetail(region, position, event) {
+    return {
+      item: region ? region.item : null,
+      index: region ? region.index : null,
+      series: region ? region.series || null : null,
+      label: region ? region.label : null,
+      value: region ? region.value : null,
+      x: position.x,
+      y: position.y,
+      originalEvent: event
+    };
+  }
+  
+  mapOverview(value, overview) {
+    const { extent } = this.xDomain;
+    return overview.left + ((value - extent.min) / (extent.max - extent.min || 1)) * overview.width;
+  }
+  
+  // Mini chart of the full x extent under the plot, with the visible range as
+  // a draggable brush window. `value(dataset, i)` gives each point's x value.
+  drawOverview(datasets, value) {
+    if (!this.hasOverview() || !this.xDomain) return;
+    const bounds = this.getOverviewBounds();
+    const { min, max } = this.xDomain;
+    
+    this.ctx.save();
+    this.ctx.fillStyle = this.options.gridColor;
+    this.ctx.fillRect(bounds.left, bounds.top, bounds.width, bounds.height);
+    
+    const values = datasets.map(dataset => dataset.data.map(item => this.getValue(item)));
+    const extent = this.getExtent(values.reduce((all, list) => all.concat(list), []));
+    const range = extent.max - extent.min || 1;
+    const toY = v => bounds.top + bounds.height - 3 - ((v - extent.min) / range) * (bounds.height - 6);
+    
+    this.ctx.lineWidth = 1;
+    datasets.forEach((dataset, s) => {
+      const signature = [this.dataVersion, dataset.data.length, bounds.left, bounds.width, bounds.top, extent.min, extent.max,
+        this.xDomain.extent.min, this.xDomain.extent.max].join('|');
+      const key = `overview:${dataset.index}`;
+      let cached = this.seriesCache.get(key);
+      if (!cached || cached.signature !== signature) {
+        const points = values[s].map((v, i) => ({
+          x: this.mapOverview(value(dataset, i), bounds),
+          y: toY(v)
+        }));
+        const indices = this.downsampleLTTB(points, Math.round(bounds.width));
+        cached = { signature, upper: indices.map(i => points[i]), paths: {} };
+        this.seriesCache.set(key, cached);
+      }
+      
+      this.ctx.strokeStyle = dataset.color || this.options.colors[0];
+      this.paintPath(cached, 'line', 'stroke', target => this.tracePath(cached.upper, target));
+    });
+    
+    // Dim everything outside the brush window
+    const left = this.mapOverview(min, bounds);
+    const right = this.mapOverview(max, bounds);
+    this.ctx.fillStyle = this.options.textColor;
+    this.ctx.globalAlpha = 0.15;
+    this.ctx.fillRect(bounds.left, bounds.top, left - bounds.left, bounds.height);
+    this.ctx.fillRect(right, bounds.top, bounds.right - right, bounds.height);
+    
+    this.ctx.globalAlpha = 0.8;
+    this.ctx.strokeStyle = this.options.textColor;
+    this.ctx.strokeRect(left, bounds.top, right - left, bounds.height);
+    [left, right].forEach(x => {
+      this.ctx.fillRect(x - 2, bounds.top + bounds.height / 2 - 8, 4, 16);
+    });
+    this.ctx.restore();
+  }
+  
+  // Loads data from a URL (JSON, CSV or TSV) or takes it directly, maps it
+  // through `transform` / `labelKey` / `valueKey`, and redraws. Starting a new
+  // load aborts the previous request. Failures show an error panel with a
+  // retry button and emit an `error` event. `options` may override `format`
+  // ('json' / 'csv' / 'tsv'), the mapping options and `fetchOptions`.
+  async loadData(source, options = {}) {
+    if (this.loadController) {
+      this.loadController.abort();
+    }
+    clearTimeout(this.initTimer);
+    this.initTimer = null;
+    clearTimeout(this.loadTimer);
+    this.loadTimer = null;
+    const controller = new AbortController();
+    this.loadController = controller;
+    this.lastLoad = { source, options };
+    this.showPlaceholder();
+    
+    const config = { ...this.options, ...options };
+    try {
+      let payload = source;
+      let delimited = false;
+      if (typeof source === 'string') {
+        const response = await fetch(source, { ...config.fetchOptions, signal: controller.signal });
+        if (!response.ok) {
+          throw new Error(`Request failed with status ${response.status}${response.statusText ? ` ${response.statusText}` : ''}`);
+        }
+        const text = await response.text();
+        const format = config.format || this.detectFormat(text, response.headers.get('content-type'), source);
+        payload = this.parseData(text, format);
+        delimited = format === 'csv' || format === 'tsv';
+      }
+      if (controller !== this.loadController) return;
+      this.options.data = this.mapData(payload, config, delimited);
+      this.dataVersion += 1;
+    } catch (error) {
+      if (controller !== this.loadController || error.name === 'AbortError') return;
+      this.loadController = null;
+      this.showError(error);
+      this.emit('error', { error, source }, true);
+      return;
+    }
+    
+    clearTimeout(this.loadTimer);
+    this.loadTimer = setTimeout(() => {
+      this.loadTimer = null;
+      if (controller !== this.loadController) return;
+      this.loadController = null;
+      this.hidePlaceholder();
+      this.createCanvas();
+      this.render();
+      this.emit('dataLoaded', { source, data: this.options.data });
+    }, 500);
+  }
+  
+  detectFormat(text, contentType, url) {
+    const type = (contentType || '').toLowerCase();
+    if (type.includes('json')) return 'json';
+    if (type.includes('tab-separated')) return 'tsv';
+    if (type.includes('csv')) return 'csv';
+    
+    const extension = (/\.(json|csv|tsv)(?:[?#]|$)/i.exec(url) || [])[1];
+    if (extension) return extension.toLowerCase();
+    
+    const trimmed = text.trim();
+    if (trimmed.startsWith('[') || trimmed.startsWith('{')) return 'json';
+    return trimmed.split('\n')[0].includes('\t') ? 'tsv' : 'csv';
+  }
+  
+  parseData(text, format) {
+    if (format === 'csv' || format === 'tsv') {
+      return this.parseDelimited(text, format === 'tsv' ? '\t' : ',');
+    }
+    return JSON.parse(text);
+  }
+  
+  // Parses delimited text with a header row into objects. Handles quoted
+  // fields (with "" escapes and embedded newlines) and converts numeric cells.
+  parseDelimited(text, delimiter = ',') {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"' && field === '') {
+        quoted = true;
+      } else if (char === delimiter) {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+    if (field !== '' || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+    
+    const [header = [], ...records] = rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+    const keys = header.map(key => key.trim());
+    return records.map(cells => keys.reduce((item, key, i) => {
+      const cell = (cells[i] || '').trim();
+      item[key] = cell !== '' && !Number.isNaN(Number(cell)) ? Number(cell) : cell;
+      return item;
+    }, {}));
+  }
+  
+  // Turns a loaded payload into data items. `transform(payload)` runs first;
+  // `labelKey` / `valueKey` (dot paths allowed) then pick the fields. Rows
+  // parsed from CSV / TSV (`delimited`) without label / value / x / y columns
+  // default to the first column as label and second as value.
+  mapData(payload, config = this.options, delimited = false) {
+    let data = typeof config.transform === 'function' ? config.transform(payload) : payload;
+    if (!Array.isArray(data) && data && Array.isArray(data.data)) {
+      data = data.data;
+    }
+    if (!Array.isArray(data)) {
+      // Treemaps accept a single root node
+      if (this.options.type === 'treemap' && data && typeof data === 'object') return data;
+      throw new Error('Loaded data is not an array of data points');
+    }
+    
+    const first = data[0] && typeof data[0] === 'object' ? Object.keys(data[0]) : [];
+    const tabular = delimited && !first.some(key => ['label', 'value', 'x', 'y'].includes(key));
+    const labelKey = config.labelKey || (tabular && first.length > 1 ? first[0] : null);
+    const valueKey = config.valueKey || (tabular && first.length > 1 ? first[1] : null);
+    if (!labelKey && !valueKey) return data;
+    
+    const read = (item, path) => path.split('.').reduce((value, key) => (value == null ? value : value[key]), item);
+    return data.map(item => {
+      const mapped = { ...item };
+      if (labelKey) mapped.label = read(item, labelKey);
+      if (valueKey) mapped.value = Number(read(item, valueKey));
+      return mapped;
+    });
+  }
+  
+  showError(error) {
+    this.container.innerHTML = '';
+    this.isLoading = false;
+    this.container.removeAttribute('aria-busy');
+    
+    const panel = document.createElement('div');
+    panel.className = 'vibechart-error';
+    panel.setAttribute('role', 'alert');
+    panel.innerHTML = `
+      <div class="vibechart-error-title">${this.escapeHtml(this.getString('loadError'))}</div>
+      <div class="vibechart-error-message">${this.escapeHtml(error.message || String(error))}</div>
+      <button type="button" class="vibechart-error-retry">${this.escapeHtml(this.getString('retry'))}</button>
+    `;
+    panel.querySelector('.vibechart-error-retry').addEventListener('click', () => {
+      if (this.lastLoad) {
+        this.loadData(this.lastLoad.source, this.lastLoad.options);
+      }
+    });
+    this.container.appendChild(panel);
+  }
+  
+  // Adds points to the end of the data (or of dataset `datasetIndex` for
+  // multi-series charts) and redraws without the placeholder. With
+  // `maxPoints` set, the oldest points slide out.
+  append(points, datasetIndex = 0) {
+    const list = this.getSeriesData(datasetIndex);
+    if (!list) return;
+    
+    // push() one at a time: spreading a large batch overflows the call stack
+    (Array.isArray(points) ? points : [points]).forEach(point => list.push(point));
+    if (this.options.maxPoints > 0 && list.length > this.options.maxPoints) {
+      this.removeOldest(list, list.length - this.options.maxPoints);
+    }
+    this.dataVersion += 1;
+    this.scheduleRender();
+  }
+  
+  // Removes and returns the oldest `count` points
+  shift(count = 1, datasetIndex = 0) {
+    const list = this.getSeriesData(datasetIndex);
+    if (!list) return [];
+    
+    const removed = this.removeOldest(list, count);
+    this.dataVersion += 1;
+    this.scheduleRender();
+    return removed;
+  }
+  
+  getSeriesData(datasetIndex) {
+    if (this.isMultiSeries()) {
+      const dataset = this.options.datasets[datasetIndex];
+      if (!dataset) return null;
+      dataset.data = dataset.data || [];
+      return dataset.data;
+    }
+    if (!Array.isArray(this.options.data)) {
+      this.options.data = [];
+    }
+    return this.options.data;
+  }
+  
+  removeOldest(list, count) {
+    const removed = list.splice(0, Math.max(0, count));
+    // Item-level legend state follows the items that remain
+    if (list === this.options.data && this.hiddenItems.size > 0) {
+      this.hiddenItems = new Set(
+        [...this.hiddenItems].filter(index => index >= removed.length).map(index => index - removed.length)
+      );
+    }
+    return removed;
+  }
+  
+  // Coalesces bursts of updates into one unanimated redraw per frame
+  scheduleRender() {
+    if (this.pendingRender) return;
+    this.pendingRender = requestAnimationFrame(() => {
+      this.pendingRender = null;
+      // New data replaces an error panel left by loadData
+      if (!this.canvas || !this.container.contains(this.canvas)) {
+        this.createCanvas();
+      }
+      this.render(false);
+    });
+  }
+  
+  // Streams points from a WebSocket, an EventSource or a URL to poll.
+  // Strings starting with ws:// or wss:// open a WebSocket; other URLs are
+  // polled every `interval` ms unless `type: 'sse'` is given. Each message
+  // goes through `parse` (JSON by default) and is appended, or replaces the
+  // data with `mode: 'replace'`. Dropped connections are retried with
+  // exponential backoff. Returns a controller with pause / resume / close.
+  connect(source, options = {}) {
+    this.disconnect();
+    
+    const config = {
+      type: null,
+      interval: 5000,
+      mode: 'append',
+      datasetIndex: 0,
+      parse: data => (typeof data === 'string' ? JSON.parse(data) : data),
+      reconnect: true,
+      ...options
+    };
+    const isSocket = value => typeof WebSocket !== 'undefined' && value instanceof WebSocket;
+    const isEventSource = value => typeof EventSource !== 'undefined' && value instanceof EventSource;
+    const url = typeof source === 'string' ? source : source.url;
+    const type = config.type ||
+      (isSocket(source) || /^wss?:/i.test(url) ? 'websocket' : isEventSource(source) ? 'sse' : 'poll');
+    
+    const connection = {
+      state: 'connecting',
+      paused: false,
+      buffer: [],
+      attempts: 0,
+      handle: null,
+      timer: null,
+      closed: false
+    };
+    
+    const setState = (state) => {
+      connection.state = state;
+      this.emit('connectionchange', { state, type, url }, true);
+    };
+    
+    const receive = (message) => {
+      let points;
+      try {
+        points = config.parse(message);
+      } catch (error) {
+        this.emit('error', { error, source: url }, true);
+        return;
+      }
+      if (points === null || points === undefined) return;
+      
+      if (connection.paused) {
+        connection.buffer.push(points);
+      } else {
+        this.applyStreamData(points, config);
+      }
+    };
+    
+    const retry = () => {
+      if (connection.closed || !config.reconnect) {
+        setState('closed');
+        return;
+      }
+      const delay = Math.min(30000, 1000 * Math.pow(2, connection.attempts));
+      connection.attempts += 1;
+      setState('reconnecting');
+      connection.timer = setTimeout(open, delay);
+    };
+    
+    const open = (existing = null) => {
+      if (connection.closed) return;
+      
+      if (type === 'websocket') {
+        const socket = existing || new WebSocket(url);
+        socket.addEventListener('open', () => {
+          connection.attempts = 0;
+          setState('open');
+        });
+        socket.addEventListener('message', event => receive(event.data));
+        socket.addEventListener('close', () => {
+          if (connection.handle === socket) retry();
+        });
+        connection.handle = socket;
+        if (socket.readyState === 1) setState('open');
+      } else if (type === 'sse') {
+        const events = existing || new EventSource(url);
+        events.addEventListener('open', () => {
+          connection.attempts = 0;
+          setState('open');
+        });
+        events.addEventListener('message', event => receive(event.data));
+        events.addEventListener('error', () => {
+          // EventSource retries by itself unless the connection is closed for good
+          if (events.readyState === 2 && connection.handle === events) retry();
+        });
+        connection.handle = events;
+        if (events.readyState === 1) setState('open');
+      } else {
+        const poll = () => {
+          if (connection.closed) return;
+          const controller = new AbortController();
+          connection.handle = controller;
+          fetch(url, { signal: controller.signal })
+            .then(response => {
+              if (!response.ok) {
+                throw new Error(`Request failed with status ${response.status}`);
+              }
+              return response.text();
+            })
+            .then(text => {
+              if (connection.state !== 'open') setState('open');
+              connection.attempts = 0;
+              receive(text);
+              connection.timer = setTimeout(poll, config.interval);
+            })
+            .catch(error => {
+              if (connection.closed) return;
+              this.emit('error', { error, source: url }, true);
+              retry();
+            });
+        };
+        poll();
+      }
+    };
+    
+    const controller = {
+      get state() {
+        return connection.paused ? 'paused' : connection.state;
+      },
+      pause: () => {
+        connection.paused = true;
+      },
+      // Points received while paused are applied on resume
+      resume: () => {
+        connection.paused = false;
+        connection.buffer.splice(0).forEach(points => this.applyStreamData(points, config));
+      },
+      close: () => {
+        const { handle } = connection;
+        connection.closed = true;
+        connection.handle = null;
+        clearTimeout(connection.timer);
+        if (handle) {
+          if (handle.abort) handle.abort();
+          else handle.close();
+        }
+        if (this.connection === controller) this.connection = null;
+        setState('closed');
+      }
+    };
+    
+    this.connection = controller;
+    setState('connecting');
+    open(typeof source === 'string' ? null : source);
+    return controller;
+  }
+  
+  disconnect() {
+    if (this.connection) {
+      this.connection.close();
+    }
+  }
+  
+  applyStreamData(points, config) {
+    if (config.mode === 'replace') {
+      if (this.isMultiSeries() && Array.isArray(points) && points.every(dataset => dataset && dataset.data)) {
+        this.options.datasets = points;
+      } else {
+        const list = this.getSeriesData(config.datasetIndex);
+        if (list) {
+          list.length = 0;
+          (Array.isArray(points) ? points : [points]).forEach(point => list.push(point));
+        }
+      }
+      this.dataVersion += 1;
+      this.scheduleRender();
+    } else {
+      this.append(points, config.datasetIndex);
+    }
+  }
+  
+  render(animate = true) {
+    if (this.isLoading) return;
+    
+    const animated = animate && this.shouldAnimate();
+    this.emit('beforeRender', { animated });
+    if (this.animationFrame) {
+      cancelAnimationFrame(this.animationFrame);
+      this.animationFrame = null;
+    }
+    this.hideTooltip();
+    
+    if (this.options.showLegend) {
+      this.drawExternalLegend();
+    } else {
+      this.removeLegend();
+    }
+    this.updateBreadcrumb();
+    this.updateAccessibility();
+    // The legend and breadcrumb take space from the canvas
+    this.resizeCanvas();
+    
+    // Values currently on screen become the starting point of the transition
+    const previous = this.displayedValues.size > 0 ? this.displayedValues : null;
+    
+    if (animated) {
+      const duration = this.options.animationDuration;
+      const easing = typeof this.options.easing === 'function'
+        ? this.options.easing
+        : VibeCharts.easings[this.options.easing] || VibeCharts.easings.easeOutCubic;
+      const start = performance.now();
+      
+      const step = (now) => {
+        const t = Math.min(1, Math.max(0, (now - start) / duration));
+        this.drawFrame(t < 1 ? easing(t) : 1, previous);
+        this.animationFrame = t < 1 ? requestAnimationFrame(step) : null;
+        if (t >= 1) {
+          this.emit('afterRender', { animated });
+        }
+      };
+      
+      this.drawFrame(0, previous);
+      this.animationFrame = requestAnimationFrame(step);
+    } else {
+      this.drawFrame(1, previous);
+      this.emit('afterRender', { animated });
+    }
+  }
+  
+  drawFrame(progress, previous) {
+    this.animationState = { progress, previous, phase: previous ? 'update' : 'enter' };
+    this.displayedValues = new Map();
+    this.clear();
+    this.drawChart();
+    if (this.focusedRegion !== null) {
+      this.drawFocusIndicator();
+    }
+    
+    if (this.ctx instanceof VibeChartsSVGContext) {
+      this.canvas.innerHTML = this.ctx.toString();
+    }
+  }
+  
+  drawChart() {
+    this.hitRegions = [];
+    this.xDomain = null;
+    this.callPlugins('beforeDraw', this.ctx);
+    
+    if (this.options.title) {
+      this.drawTitle();
+    }
+    
+    const draw = VibeCharts.chartTypes[this.options.type];
+    if (draw) {
+      draw.call(this, this);
+    }
+    this.callPlugins('afterDraw', this.ctx);
+  }
+  
+  // Global plugins (VibeCharts.use) followed by this chart's `plugins`
+  getPlugins() {
+    return [...VibeCharts.plugins, ...(this.options.plugins || [])];
+  }
+  
+  // Calls `hook(chart, ...args)` on every plugin that implements it
+  callPlugins(hook, ...args) {
+    this.getPlugins().forEach(plugin => {
+      if (typeof plugin[hook] === 'function') {
+        plugin[hook](this, ...args);
+      }
+    });
+  }
+  
+  shouldAnimate() {
+    if (!this.options.animated || !(this.options.animationDuration > 0)) return false;
+    if (typeof requestAnimationFrame !== 'function') return false;
+    
+    const reducedMotion = typeof window.matchMedia === 'function' &&
+      window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    return !reducedMotion;
+  }
+  
+  // Interpolates a value for the current animation frame. On entry values grow
+  // from zero (pass grow = false to keep them in place); on updates they move
+  // from whatever was displayed under the same key.
+  tweenValue(key, value, grow = true) {
+    const { progress, previous } = this.animationState;
+    let current = value;
+    
+    if (progress !== 1) {
+      if (previous) {
+        const from = previous.has(key) ? previous.get(key) : 0;
+        current = from + (value - from) * progress;
+      } else if (grow) {
+        current = value * progress;
+      }
+    }
+    
+    this.displayedValues.set(key, current);
+    return current;
+  }
+  
+  // Clips drawing to the revealed part of the plot so lines draw on from left
+  // to right, and to the plot's x bounds while zoomed. Returns true when a clip
+  // was pushed; the caller restores it.
+  beginPlotClip(area) {
+    const { progress, phase } = this.animationState;
+    const revealing = phase === 'enter' && progress < 1;
+    if (!revealing && !this.zoomRange) return false;
+    
+    const left = this.zoomRange ? area.left : 0;
+    const right = area.left + area.width * (revealing ? Math.max(0, progress) : 1);
+    this.ctx.save();
+    this.ctx.beginPath();
+    this.ctx.rect(left, 0, right - left, this.height);
+    this.ctx.clip();
+    return true;
+  }
+  
+  // Pie and donut slices sweep in on entry (fixed total) and morph between
+  // values on updates (total of the interpolated values).
+  getSweepValues(data, indices, total) {
+    const values = data.map((item, i) => this.tweenValue(`0:${indices[i]}`, this.getValue(item)));
+    const sweepTotal = this.animationState.phase === 'enter'
+      ? total
+      : values.reduce((sum, value) => sum + value, 0);
+    return { values, total: sweepTotal || 1 };
+  }
+  
+  clear() {
+    this.ctx.clearRect(0, 0, this.width, this.height);
+  }
+  
+  drawTitle() {
+    this.ctx.fillStyle = this.options.textColor;
+    this.ctx.font = this.getFont(20, 'bold');
+    this.ctx.textAlign = 'center';
+    this.ctx.fillText(this.options.title, this.width / 2, 30);
+  }
+  
+  getChartArea(padding = 60) {
+    const left = padding + (this.options.yLabel ? 20 : 0);
+    const top = padding;
+    const right = this.width - padding - (this.options.rightAxis && this.options.rightAxis.label ? 20 : 0);
+    const bottom = this.height - padding - (this.options.xLabel ? 10 : 0) - (this.hasOverview() ? 50 : 0);
+    // Plugins may move the edges, e.g. to make room for their own drawing
+    const bounds = this.getPlugins().reduce((current, plugin) => (
+      typeof plugin.layout === 'function' ? plugin.layout(this, { ...current }) || current : current
+    ), { left, top, right, bottom });
+    return { ...bounds, width: bounds.right - bounds.left, height: bounds.bottom - bounds.top };
+  }
+  
+  // Draws grid lines and tick labels for a value scale. axis 'y' draws
+  // horizontal lines (vertical charts), axis 'x' vertical ones (horizontal bars).
+  drawGrid(scale, area, axis = 'y') {
+    if (this.options.showGrid) {
+      this.ctx.strokeStyle = this.options.gridColor;
+      this.ctx.lineWidth = 1;
+      this.ctx.setLineDash([5, 5]);
+      
+      scale.ticks.forEach(tick => {
+        const position = scale.map(tick);
+        this.ctx.beginPath();
+        if (axis === 'y') {
+          this.ctx.moveTo(area.left, position);
+          this.ctx.lineTo(area.right, position);
+        } else {
+          this.ctx.moveTo(position, area.top);
+          this.ctx.lineTo(position, area.bottom);
+        }
+        this.ctx.stroke();
+      });
+      
+      this.ctx.setLineDash([]);
+    }
+    
+    // Solid zero baseline when the scale crosses zero
+    if (scale.type === 'linear' && scale.min < 0 && scale.max > 0) {
+      const zero = scale.map(0);
+      this.ctx.strokeStyle = this.options.textColor;
+      this.ctx.globalAlpha = 0.4;
+      this.ctx.beginPath();
+      if (axis === 'y') {
+        this.ctx.moveTo(area.left, zero);
+        this.ctx.lineTo(area.right, zero);
+      } else {
+        this.ctx.moveTo(zero, area.top);
+        this.ctx.lineTo(zero, area.bottom);
+      }
+      this.ctx.stroke();
+      this.ctx.globalAlpha = 1;
+    }
+    
+    if (this.options.showAxis) {
+      this.ctx.fillStyle = this.options.textColor;
+      this.ctx.font = this.getFont(11);
+      
+      scale.ticks.forEach((tick, i) => {
+        const position = scale.map(tick);
+        const label = scale.format ? scale.format(tick, i) : this.formatTick(tick);
+        if (axis === 'y') {
+          this.ctx.textAlign = 'right';
+          this.ctx.fillText(label, area.left - 8, position + 4);
+        } else {
+          this.ctx.textAlign = 'center';
+          this.ctx.fillText(label, position, area.bottom + 20);
+        }
+      });
+    }
+  }
+  
+  drawAxisTitles(area) {
+    const { xLabel, yLabel } = this.options;
+    if (!xLabel && !yLabel) return;
+    
+    const style = this.getAxisLabelStyle();
+    this.ctx.fillStyle = this.options.textColor;
+    this.ctx.font = style.font;
+    this.ctx.textAlign = 'center';
+    
+    if (xLabel) {
+      this.ctx.fillText(xLabel, area.left + area.width / 2, area.bottom + 45);
+    }
+    
+    if (yLabel) {
+      this.ctx.save();
+      this.ctx.translate(area.left - 58, area.top + area.height / 2);
+      this.ctx.rotate(-Math.PI / 2);
+      this.ctx.fillText(yLabel, 0, 0);
+      this.ctx.restore();
+    }
+  }
+  
+  // Draws the annotations of one layer ('below' or 'above' the series). y
+  // values go through the value scale (`rightScale` for `yAxis: 'right'` on
+  // combo charts); x values are category labels, indices or times mapped by
+  // `xAxis.map`. `xAxis.inset` widens x bands to whole slots.
+  drawAnnotations(layer, area, leftScale, xAxis, rightScale = null) {
+    const annotations = (this.options.annotations || []).filter(annotation => (
+      (annotation.layer || (annotation.type === 'band' ? 'below' : 'above')) === layer
+    ));
+    if (!annotations.length) return;
+    
+    const mapX = value => xAxis.map(value);
+    const inView = x => x >= area.left - 1 && x <= area.right + 1;
+    const inset = xAxis.inset || 0;
+    
+    this.ctx.save();
+    this.ctx.beginPath();
+    this.ctx.rect(area.left, area.top, area.width, area.height);
+    this.ctx.clip();
+    this.ctx.font = this.getFont(11);
+    
+    annotations.forEach(annotation => {
+      const scale = annotation.yAxis === 'right' && rightScale ? rightScale : leftScale;
+      const mapY = value => scale.map(Math.min(Math.max(Number(value), scale.min), scale.max));
+      const inRange = value => Number(value) >= scale.min && Number(value) <= scale.max;
+      const color = annotation.color || this.options.textColor;
+      const vertical = annotation.axis === 'x';
+      
+      if (annotation.type === 'band') {
+        let start;
+        let end;
+        if (vertical) {
+          start = mapX(annotation.from) - inset;
+          end = mapX(annotation.to) + inset;
+        } else {
+          start = mapY(annotation.from);
+          end = mapY(annotation.to);
+        }
+        if (!Number.isFinite(start) || !Number.isFinite(end)) return;
+        
+        this.ctx.fillStyle = color;
+        this.ctx.globalAlpha = annotation.opacity !== undefined ? annotation.opacity : 0.12;
+        if (vertical) {
+          this.ctx.fillRect(Math.min(start, end), area.top, Math.abs(end - start), area.height);
+        } else {
+          this.ctx.fillRect(area.left, Math.min(start, end), area.width, Math.abs(end - start));
+        }
+        this.ctx.globalAlpha = 1;
+        
+        if (annotation.label) {
+          this.ctx.textAlign = 'left';
+          const x = vertical ? Math.min(start, end) + 6 : area.left + 6;
+          const y = vertical ? area.top + 14 : Math.min(start, end) + 14;
+          this.ctx.fillText(annotation.label, x, y);
+        }
+      } else if (annotation.type === 'point') {
+        const x = mapX(annotation.x);
+        if (!inView(x) || !inRange(annotation.y)) return;
+        const y = mapY(annotation.y);
+        const radius = annotation.radius || 6;
+        
+        this.ctx.fillStyle = color;
+        this.ctx.strokeStyle = this.options.backgroundColor.includes('gradient') ? '#ffffff' : this.options.backgroundColor;
+        this.ctx.lineWidth = 2;
+        this.ctx.beginPath();
+        this.ctx.arc(x, y, radius, 0, Math.PI * 2);
+        this.ctx.fill();
+        this.ctx.stroke();
+        
+        if (annotation.label) {
+          this.ctx.textAlign = 'center';
+          const below = y - radius - 8 < area.top + 10;
+          this.ctx.fillText(annotation.label, x, below ? y + radius + 16 : y - radius - 8);
+        }
+      } else {
+        const position = vertical ? mapX(annotation.value) : inRange(annotation.value) ? mapY(annotation.value) : NaN;
+        if (!Number.isFinite(position) || (vertical && !inView(position))) return;
+        
+        this.ctx.strokeStyle = color;
+        this.ctx.lineWidth = annotation.width || 1.5;
+        this.ctx.setLineDash(annotation.dash || [6, 4]);
+        this.ctx.beginPath();
+        if (vertical) {
+          this.ctx.moveTo(position, area.top);
+          this.ctx.lineTo(position, area.bottom);
+        } else {
+          this.ctx.moveTo(area.left, position);
+          this.ctx.lineTo(area.right, position);
+        }
+        this.ctx.stroke();
+        this.ctx.setLineDash([]);
+        
+        if (annotation.label) {
+          this.ctx.fillStyle = color;
+          if (vertical) {
+            const right = position > area.right - 80;
+            this.ctx.textAlign = right ? 'right' : 'left';
+            this.ctx.fillText(annotation.label, position + (right ? -6 : 6), area.top + 14);
+          } else {
+            this.ctx.textAlign = 'right';
+            const below = position - 6 < area.top + 10;
+            this.ctx.fillText(annotation.label, area.right - 6, below ? position + 14 : position - 6);
+          }
+        }
+      }
+    });
+    
+    this.ctx.restore();
+  }
+  
+  // Maps a category label (or a numeric index) to its index, NaN when unknown
+  getCategoryIndex(labels, value) {
+    if (typeof value === 'number') return value;
+    const index = labels.indexOf(String(value));
+    return index === -1 ? NaN : index;
+  }
+  
+  // Reads the font of the `.vibechart-axis-label` class so axis titles drawn
+  // on the canvas follow the stylesheet.
+  getAxisLabelStyle() {
+    if (!this.axisLabelStyle) {
+      const probe = document.createElement('span');
+      probe.className = 'vibechart-axis-label';
+      probe.style.position = 'absolute';
+      probe.style.visibility = 'hidden';
+      this.container.appendChild(probe);
+      
+      const style = window.getComputedStyle(probe);
+      this.axisLabelStyle = {
+        font: `${style.fontWeight || 500} ${style.fontSize || '12px'} ${style.fontFamily || this.options.fontFamily}`
+      };
+      probe.remove();
+    }
+    return this.axisLabelStyle;
+  }
+  
+  formatTick(value) {
+    return this.formatValue(parseFloat(value.toPrecision(12)), { kind: 'tick' });
+  }
+  
+  // Text for a number on the chart. `valueFormatter(value, context)` takes
+  // over when set; context.kind is 'label', 'tick', 'tooltip', 'total' or
+  // 'summary', with label / series / index where there is one.
+  formatValue(value, context = {}) {
+    if (this.options.valueFormatter) {
+      return String(this.options.valueFormatter(value, context));
+    }
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      return value === null || value === undefined ? '' : String(value);
+    }
+    return this.getNumberFormat().format(value);
+  }
+  
+  formatPercent(value) {
+    return this.getNumberFormat({ style: 'percent', maximumFractionDigits: 1 }).format(value / 100);
+  }
+  
+  formatLabel(label, context = {}) {
+    return this.options.labelFormatter ? String(this.options.labelFormatter(label, context)) : label;
+  }
+  
+  // Intl.NumberFormat for `locale`. Without explicit options it applies
+  // `numberFormat` on top of plain or (with `abbreviate`) compact notation.
+  getNumberFormat(options = null) {
+    const resolved = options || {
+      ...(this.options.abbreviate ? { notation: 'compact', maximumFractionDigits: 1 } : { maximumFractionDigits: 10 }),
+      ...this.options.numberFormat
+    };
+    const key = JSON.stringify(resolved);
+    if (!this.numberFormats || this.numberFormats.locale !== this.options.locale) {
+      this.numberFormats = { locale: this.options.locale, formats: new Map() };
+    }
+    if (!this.numberFormats.formats.has(key)) {
+      this.numberFormats.formats.set(key, new Intl.NumberFormat(this.options.locale || undefined, resolved));
+    }
+    return this.numberFormats.formats.get(key);
+  }
+  
+  // Built-in text from the `strings` option, falling back to
+  // VibeCharts.strings; {name} placeholders are filled from `values`.
+  getString(key, values = {}) {
+    const strings = this.options.strings || {};
+    const text = strings[key] !== undefined ? strings[key] : VibeCharts.strings[key];
+    return String(text).replace(/\{(\w+)\}/g, (match, name) => (
+      values[name] !== undefined ? values[name] : match
+    ));
+  }
+  
+  getExtent(values) {
+    let min = Infinity;
+    let max = -Infinity;
+    for (let i = 0; i < values.length; i++) {
+      const value = values[i];
+      if (!Number.isFinite(value)) continue;
+      if (value < min) min = value;
+      if (value > max) max = value;
+    }
+    return min === Infinity ? { min: 0, max: 0 } : { min, max };
+  }
+  
+  // Builds a value scale mapping data values onto the pixel range [start, end].
+  // Defaults to the value-axis options (yMin / yMax / beginAtZero / yScale);
+  // pass config { min, max, beginAtZero, type, ticks } to override them.
+  createScale(values, start, end, config = {}) {
+    const { min: yMin, max: yMax, beginAtZero, type, ticks: tickCount } = {
+      min: this.options.yMin,
+      max: this.options.yMax,
+      beginAtZero: this.options.beginAtZero,
+      type: this.options.yScale,
+      ticks: this.options.yTicks,
+      ...config
+    };
+    const extent = this.getExtent(values);
+    
+    if (type === 'logarithmic') {
+      const positives = values.filter(value => value > 0);
+      const positiveExtent = this.getExtent(positives.length ? positives : [1, 10]);
+      const min = yMin > 0 ? yMin : Math.pow(10, Math.floor(Math.log10(positiveExtent.min)));
+      let max = yMax > 0 ? yMax : Math.pow(10, Math.ceil(Math.log10(positiveExtent.max)));
+      if (max <= min) max = min * 10;
+      
+      const logMin = Math.log10(min);
+      const logRange = Math.log10(max) - logMin;
+      return {
+        type: 'logarithmic',
+        min,
+        max,
+        ticks: this.getLogTicks(min, max),
+        map: value => start + ((Math.log10(Math.max(value, min)) - logMin) / logRange) * (end - start)
+      };
+    }
+    
+    let min = yMin !== null && yMin !== undefined ? yMin : extent.min;
+    let max = yMax !== null && yMax !== undefined ? yMax : extent.max;
+    if (beginAtZero) {
+      if (yMin === null || yMin === undefined) min = Math.min(min, 0);
+      if (yMax === null || yMax === undefined) max = Math.max(max, 0);
+    }
+    if (min === max) {
+      max = min + 1;
+    }
+    
+    const ticks = this.getNiceTicks(min, max, tickCount);
+    if (yMin === null || yMin === undefined) min = Math.min(min, ticks[0]);
+    if (yMax === null || yMax === undefined) max = Math.max(max, ticks[ticks.length - 1]);
+    
+    return {
+      type: 'linear',
+      min,
+      max,
+      ticks: ticks.filter(tick => tick >= min && tick <= max),
+      map: value => start + ((value - min) / (max - min)) * (end - start)
+    };
+  }
+  
+  niceNumber(range, round) {
+    const exponent = Math.floor(Math.log10(range));
+    const fraction = range / Math.pow(10, exponent);
+    let nice;
+    
+    if (round) {
+      nice = fraction < 1.5 ? 1 : fraction < 3 ? 2 : fraction < 7 ? 5 : 10;
+    } else {
+      nice = fraction <= 1 ? 1 : fraction <= 2 ? 2 : fraction <= 5 ? 5 : 10;
+    }
+    
+    return nice * Math.pow(10, exponent);
+  }
+  
+  getNiceTicks(min, max, count = 5) {
+    const range = this.niceNumber(max - min, false);
+    const step = this.niceNumber(range / Math.max(count - 1, 1), true);
+    const niceMin = Math.floor(min / step) * step;
+    const niceMax = Math.ceil(max / step) * step;
+    const ticks = [];
+    
+    for (let tick = niceMin; tick <= niceMax + step / 2; tick += step) {
+      ticks.push(parseFloat(tick.toPrecision(12)));
+    }
+    
+    return ticks;
+  }
+  
+  getLogTicks(min, max) {
+    const ticks = [];
+    const decades = Math.log10(max) - Math.log10(min);
+    const multipliers = decades < 3 ? [1, 2, 5] : [1];
+    
+    for (let exponent = Math.floor(Math.log10(min)); exponent <= Math.ceil(Math.log10(max)); exponent++) {
+      multipliers.forEach(multiplier => {
+        const tick = parseFloat((multiplier * Math.pow(10, exponent)).toPrecision(12));
+        if (tick >= min && tick <= max) ticks.push(tick);
+      });
+    }
+    
+    return ticks;
+  }
+  
+  // Horizontal placement of line and area points: evenly spaced categories,
+  // or proportional to time when the x values are dates (see xScale).
+  createXAxis(datasets, labels, area) {
+    if (!this.isTimeAxis(datasets)) {
+      const domain = this.getXDomain({ min: 0, max: Math.max(1, labels.length - 1) }, area);
+      const step = labels.length > 1 ? area.width / (domain.max - domain.min) : 0;
+      return {
+        scale: null,
+        domain,
+        value: (dataset, i) => i,
+        position: (dataset, i) => area.left + (i - domain.min) * step,
+        map: value => area.left + (this.getCategoryIndex(labels, value) - domain.min) * step,
+        label: (dataset, i) => labels[i]
+      };
+    }
+    
+    const times = [];
+    datasets.forEach(dataset => dataset.data.forEach(item => times.push(this.parseTime(item.x))));
+    const fullScale = this.createTimeScale(times, area.left, area.right);
+    const domain = this.getXDomain({ min: fullScale.min, max: fullScale.max }, area, 'time');
+    const scale = this.zoomRange ? this.createTimeScale(times, area.left, area.right, domain) : fullScale;
+    return {
+      scale,
+      domain,
+      value: (dataset, i) => this.parseTime(dataset.data[i].x),
+      position: (dataset, i) => scale.map(this.parseTime(dataset.data[i].x)),
+      map: value => scale.map(this.parseTime(value)),
+      label: (dataset, i) => (
+        dataset.data[i].label !== undefined ? dataset.data[i].label : scale.formatFull(this.parseTime(dataset.data[i].x))
+      )
+    };
+  }
+  
+  // xScale 'time' forces a time axis (epoch ms allowed); 'auto' uses one when
+  // every x is a Date or an ISO date string.
+  isTimeAxis(datasets) {
+    if (this.options.xScale === 'time') return true;
+    if (this.options.xScale !== 'auto') return false;
+    
+    const items = datasets.reduce((all, dataset) => all.concat(dataset.data), []);
+    return items.length > 0 && items.every(item => item && (
+      item.x instanceof Date || (typeof item.x === 'string' && /^\d{4}-\d{2}/.test(item.x))
+    ));
+  }
+  
+  parseTime(value) {
+    if (value instanceof Date) return value.getTime();
+    if (typeof value === 'number') return value;
+    if (typeof value === 'string') {
+      const time = Date.parse(value);
+      return Number.isNaN(time) ? Number(value) : time;
+    }
+    return NaN;
+  }
+  
+  // Time scale over epoch-ms values, or over `domain` when zoomed. The tick
+  // unit (seconds through years) is the finest that keeps labels ~90px apart.
+  createTimeScale(times, start, end, domain = null) {
+    const units = [
+      ['second', 1000, [1, 5, 15, 30]],
+      ['minute', 60000, [1, 5, 15, 30]],
+      ['hour', 3600000, [1, 3, 6, 12]],
+      ['day', 86400000, [1, 2]],
+      ['week', 604800000, [1, 2]],
+      ['month', 2629746000, [1, 3, 6]],
+      ['year', 31556952000, [1, 2, 5, 10, 25, 50, 100]]
+    ];
+    
+    const extent = this.getExtent(times);
+    const xMin = this.parseTime(this.options.xMin);
+    const xMax = this.parseTime(this.options.xMax);
+    let min = domain ? domain.min : Number.isFinite(xMin) ? xMin : extent.min;
+    let max = domain ? domain.max : Number.isFinite(xMax) ? xMax : extent.max;
+    if (min >= max) {
+      min -= 43200000;
+      max = min + 86400000;
+    }
+    
+    const maxTicks = Math.max(2, Math.floor(Math.abs(end - start) / 90));
+    let unit = 'year';
+    let step = 0;
+    units.some(([name, duration, steps]) => {
+      const fit = steps.find(candidate => (max - min) / (duration * candidate) <= maxTicks);
+      if (fit) {
+        unit = name;
+        step = fit;
+      }
+      return fit;
+    });
+    if (!step) {
+      step = this.niceNumber((max - min) / units[units.length - 1][1] / maxTicks, false);
+    }
+    
+    const ticks = this.getTimeTicks(min, max, unit, step);
+    const subDay = ['second', 'minute', 'hour'].includes(unit);
+    const tickFormats = {
+      second: { hour: '2-digit', minute: '2-digit', second: '2-digit' },
+      minute: { hour: '2-digit', minute: '2-digit' },
+      hour: { hour: '2-digit', minute: '2-digit' },
+      day: { month: 'short', day: 'numeric' },
+      week: { month: 'short', day: 'numeric' },
+      month: { month: 'short', year: 'numeric' },
+      year: { year: 'numeric' }
+    };
+    
+    return {
+      type: 'time',
+      unit,
+      min,
+      max,
+      ticks,
+      map: value => start + ((value - min) / (max - min)) * (end - start),
+      // Sub-day ticks also name the day on the first tick and at midnight crossings
+      format: (tick, i) => {
+        const newDay = i === 0 || new Date(ticks[i - 1]).toDateString() !== new Date(tick).toDateString();
+        const options = subDay && newDay
+          ? { month: 'short', day: 'numeric', ...tickFormats[unit] }
+          : tickFormats[unit];
+        return this.getDateFormat(options).format(tick);
+      },
+      formatFull: value => this.getDateFormat(
+        subDay ? { dateStyle: 'medium', timeStyle: 'short' } : { dateStyle: 'medium' }
+      ).format(value)
+    };
+  }
+  
+  // Calendar-aligned ticks: every `step` units from the first boundary at or
+  // after min.
+  getTimeTicks(min, max, unit, step) {
+    const fields = ['Milliseconds', 'Seconds', 'Minutes', 'Hours', 'Date', 'Month', 'FullYear'];
+    const unitFields = { second: 'Seconds', minute: 'Minutes', hour: 'Hours', day: 'Date', week: 'Date', month: 'Month', year: 'FullYear' };
+    const field = unitFields[unit];
+    const date = new Date(min);
+    
+    // Truncate everything finer than the unit, then round down to a step multiple
+    fields.slice(0, fields.indexOf(field)).forEach(name => {
+      date[`set${name}`](name === 'Date' ? 1 : 0);
+    });
+    if (unit === 'week') {
+      date.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+    } else if (unit === 'day') {
+      date.setDate(1 + Math.floor((date.getDate() - 1) / step) * step);
+    } else {
+      date[`set${field}`](Math.floor(date[`get${field}`]() / step) * step);
+    }
+    
+    const increment = unit === 'week' ? step * 7 : step;
+    const ticks = [];
+    while (date.getTime() <= max && ticks.length < 1000) {
+      if (date.getTime() >= min) ticks.push(date.getTime());
+      date[`set${field}`](date[`get${field}`]() + increment);
+    }
+    return ticks;
+  }
+  
+  getDateFormat(options) {
+    const key = JSON.stringify(options);
+    if (!this.dateFormats || this.dateFormats.locale !== this.options.locale) {
+      this.dateFormats = { locale: this.options.locale, formats: new Map() };
+    }
+    if (!this.dateFormats.formats.has(key)) {
+      this.dateFormats.formats.set(key, new Intl.DateTimeFormat(this.options.locale || undefined, options));
+    }
+    return this.dateFormats.formats.get(key);
+  }
+  
+  getColor(index, mode = 'series') {
+    const colors = this.options.colors;
+    
+    if (mode === 'individual') {
+      return colors[index % colors.length];
+    } else if (mode === 'shade') {
+      const baseColor = colors[0];
+      return this.adjustBrightness(baseColor, 1 - (index * 0.15));
+    }
+    
+    return colors[index % colors.length];
+  }
+  
+  adjustBrightness(color, factor) {
+    const rgb = this.parseColor(color);
+    if (!rgb) return color;
+    const r = Math.min(255, Math.max(0, Math.round(rgb.r * factor)));
+    const g = Math.min(255, Math.max(0, Math.round(rgb.g * factor)));
+    const b = Math.min(255, Math.max(0, Math.round(rgb.b * factor)));
+    return `rgb(${r},${g},${b})`;
+  }
+  
+  getRadius() {
+    const radii = { sharp: 0, default: 4, soft: 18, rounded: 51 };
+    return radii[this.options.style] || 4;
+  }
+  
+  drawRoundedRect(x, y, width, height, radius) {
+    if (width < 0) {
+      x += width;
+      width = -width;
+    }
+    if (height < 0) {
+      y += height;
+      height = -height;
+    }
+    radius = Math.max(0, Math.min(radius, width / 2, height / 2));
+    
+    this.ctx.beginPath();
+    this.ctx.moveTo(x + radius, y);
+    this.ctx.lineTo(x + width - radius, y);
+    this.ctx.quadraticCurveTo(x + width, y, x + width, y + radius);
+    this.ctx.lineTo(x + width, y + height - radius);
+    this.ctx.quadraticCurveTo(x + width, y + height, x + width - radius, y + height);
+    this.ctx.lineTo(x + radius, y + height);
+    this.ctx.quadraticCurveTo(x, y + height, x, y + height - radius);
+    this.ctx.lineTo(x, y + radius);
+    this.ctx.quadraticCurveTo(x, y, x + radius, y);
+    this.ctx.closePath();
+  }
+  
+  // Value label for a bar `rect` (x / y at the value end for vertical bars, at
+  // the base for horizontal ones). labelPosition: 'top' / 'outside' past the
+  // end, 'inside' just within it, 'center' in the middle; inner labels are
+  // skipped when the bar is too small to hold them.
+  drawBarLabel(text, rect, position, horizontal = false) {
+    const inner = position === 'inside' || position === 'center';
+    const negative = horizontal ? rect.width < 0 : rect.height < 0;
+    this.ctx.fillStyle = inner ? '#fff' : this.options.textColor;
+    
+    if (horizontal) {
+      const end = rect.x + rect.width;
+      const y = rect.y + rect.height / 2 + 4;
+      if (inner && Math.abs(rect.width) < this.ctx.measureText(text).width + 12) return;
+      
+      if (position === 'center') {
+        this.ctx.textAlign = 'center';
+        this.ctx.fillText(text, rect.x + rect.width / 2, y);
+      } else if (position === 'inside') {
+        this.ctx.textAlign = negative ? 'left' : 'right';
+        this.ctx.fillText(text, end + (negative ? 6 : -6), y);
+      } else {
+        this.ctx.textAlign = negative ? 'right' : 'left';
+        this.ctx.fillText(text, end + (negative ? -5 : 5), y);
+      }
+      return;
+    }
+    
+    const x = rect.x + rect.width / 2;
+    this.ctx.textAlign = 'center';
+    if (inner && (Math.abs(rect.height) < 16 || rect.width < this.ctx.measureText(text).width)) return;
+    
+    if (position === 'center') {
+      this.ctx.fillText(text, x, rect.y + rect.height / 2 + 4);
+    } else if (position === 'inside') {
+      this.ctx.fillText(text, x, negative ? rect.y - 6 : rect.y + 14);
+    } else {
+      this.ctx.fillText(text, x, negative ? rect.y + 18 : rect.y - 10);
+    }
+  }
+  
+  applyGradient(x, y, width, height) {
+    if (!this.options.gradient) return null;
+    
+    const gradient = this.ctx.createLinearGradient(x, y, x, y + height);
+    gradient.addColorStop(0, this.options.gradientColors[0]);
+    gradient.addColorStop(1, this.options.gradientColors[1]);
+    return gradient;
+  }
+  
+  getValue(item) {
+    const value = item !== null && typeof item === 'object' ? item.value : item;
+    return Number(value) || 0;
+  }
+  
+  isMultiSeries() {
+    return Array.isArray(this.options.datasets) && this.options.datasets.length > 0;
+  }
+  
+  getSeriesName(dataset) {
+    return this.isMultiSeries() ? dataset.name : undefined;
+  }
+  
+  // Normalizes `data` and `datasets` into one list of series so every draw
+  // method can treat single and multi-series charts the same way.
+  getDatasets() {
+    if (!this.isMultiSeries()) {
+      const { data, indices } = this.getVisibleData();
+      return [{ name: this.options.title || this.getString('series', { index: 1 }), data, indices, color: null, index: 0 }];
+    }
+    
+    return this.options.datasets
+      .map((dataset, i) => ({
+        name: dataset.name || this.getString('series', { index: i + 1 }),
+        data: dataset.data || [],
+        indices: (dataset.data || []).map((item, j) => j),
+        color: dataset.color || this.getColor(i),
+        fill: dataset.fill,
+        type: dataset.type || null,
+        yAxis: dataset.yAxis === 'right' ? 'right' : 'left',
+        index: i
+      }))
+      .filter(dataset => !this.hiddenSeries.has(dataset.index));
+  }
+  
+  // Data items the legend hasn't hidden, with their original indices so
+  // colors and hit regions stay stable while items are toggled.
+  getVisibleData() {
+    const data = Array.isArray(this.options.data) ? this.options.data : [];
+    const indices = [];
+    const visible = data.filter((item, i) => {
+      if (this.hiddenItems.has(i)) return false;
+      indices.push(i);
+      return true;
+    });
+    return { data: visible, indices };
+  }
+  
+  getCategoryLabels(datasets) {
+    const length = datasets.reduce((max, dataset) => Math.max(max, dataset.data.length), 0);
+    const labels = [];
+    
+    for (let i = 0; i < length; i++) {
+      const item = datasets.map(dataset => dataset.data[i]).find(d => d && d.label !== undefined);
+      labels.push(item ? item.label : this.getString('item', { index: i + 1 }));
+    }
+    
+    return labels;
+  }
+  
+  // Returns one { start, end, value } segment per dataset and category.
+  // mode: 'normal' / 'grouped' (independent), 'stacked' or 'percent' (stacked to 100)
+  stackDatasets(datasets, mode = 'normal') {
+    const length = datasets.reduce((max, dataset) => Math.max(max, dataset.data.length), 0);
+    const stacked = mode === 'stacked' || mode === 'percent';
+    const positive = new Array(length).fill(0);
+    const negative = new Array(length).fill(0);
+    const totals = new Array(length).fill(0);
+    
+    if (mode === 'percent') {
+      datasets.forEach(dataset => {
+        dataset.data.forEach((item, i) => {
+          totals[i] += Math.abs(this.getValue(item));
+        });
+      });
+    }
+    
+    return datasets.map(dataset => dataset.data.map((item, i) => {
+      let value = this.getValue(item);
+      if (mode === 'percent') {
+        value = totals[i] ? (value / totals[i]) * 100 : 0;
+      }
+      
+      if (!stacked) {
+        return { start: 0, end: value, value };
+      }
+      
+      const base = value >= 0 ? positive : negative;
+      const start = base[i];
+      base[i] += value;
+      return { start, end: base[i], value };
+    }));
+  }
+  
+  getStackValues(stacks) {
+    const values = [];
+    stacks.forEach(series => {
+      series.forEach(segment => {
+        values.push(segment.start, segment.end);
+      });
+    });
+    return values;
+  }
+  
+  withAlpha(color, alpha) {
+    const rgb = this.parseColor(color);
+    if (!rgb) return color;
+    return `rgba(${rgb.r},${rgb.g},${rgb.b},${alpha})`;
+  }
+  
+  parseColor(color) {
+    if (typeof color !== 'string') return null;
+    
+    const hex = color.trim().replace(/^#/, '');
+    if (/^[a-f\d]{3}$/i.test(hex)) {
+      return this.hexToRgb(hex.split('').map(c => c + c).join(''));
+    }
+    if (/^[a-f\d]{6}([a-f\d]{2})?$/i.test(hex)) {
+      return this.hexToRgb(hex.slice(0, 6));
+    }
+    
+    const match = /^rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)/i.exec(color.trim());
+    if (match) return { r: +match[1], g: +match[2], b: +match[3] };
+    
+    // Names, hsl() and other CSS colors come back from a 2D context as hex / rgba()
+    const normalized = this.normalizeColor(color);
+    return normalized && normalized !== color ? this.parseColor(normalized) : null;
+  }
+  
+  // Resolves var() against the container and lets a scratch 2D context
+  // serialize the color. Returns null for colors the context rejects.
+  normalizeColor(color) {
+    const context = VibeChartsSVGContext.getScratchContext();
+    if (!context) return null;
+    
+    const resolved = color.includes('var(') ? this.resolveCssValue(color, window.getComputedStyle(this.container)) : color;
+    // Invalid values are ignored, so they read back as whichever color was set before
+    context.fillStyle = '#000000';
+    context.fillStyle = resolved;
+    const normalized = context.fillStyle;
+    context.fillStyle = '#ffffff';
+    context.fillStyle = resolved;
+    return context.fillStyle === normalized ? normalized : null;
+  }
+  
+  drawBar() {
+    const datasets = this.getDatasets();
+    const labels = this.getCategoryLabels(datasets);
+    const mode = this.options.barMode;
+    const grouped = mode !== 'stacked' && mode !== 'percent';
+    const stacks = this.stackDatasets(datasets, grouped ? 'normal' : mode);
+    const area = this.getChartArea();
+    const scale = this.createScale(this.getStackValues(stacks), area.bottom, area.top);
+    // Category i occupies [i, i + 1) on the x domain, which zoom can narrow
+    const domain = this.getXDomain({ min: 0, max: Math.max(1, labels.length) }, area);
+    const slotWidth = area.width / (domain.max - domain.min);
+    const groupWidth = slotWidth - 10;
+    const barWidth = grouped ? groupWidth / datasets.length : groupWidth;
+    // Stacked segments have no room outside, so their labels sit in the middle
+    const labelPosition = grouped || this.options.labelPosition === 'inside' ? this.options.labelPosition : 'center';
+    const slotLeft = i => area.left + (i - domain.min) * slotWidth;
+    const inView = i => i + 1 > domain.min && i < domain.max;
+    const annotationAxis = {
+      map: value => slotLeft(this.getCategoryIndex(labels, value)) + groupWidth / 2,
+      inset: slotWidth / 2
+    };
+    
+    this.drawGrid(scale, area);
+    this.drawAxisTitles(area);
+    this.drawAnnotations('below', area, scale, annotationAxis);
+    const clipped = this.beginPlotClip(area);
+    
+    stacks.forEach((series, s) => {
+      series.forEach((segment, i) => {
+        if (!inView(i)) return;
+        const x = slotLeft(i) + (grouped ? s * barWidth : 0);
+        this.drawBarSegment(segment, i, datasets[s], { x, width: barWidth, scale, label: labels[i], labelPosition });
+      });
+    });
+    
+    if (clipped) {
+      this.ctx.restore();
+    }
+    this.drawAnnotations('above', area, scale, annotationAxis);
+    
+    if (this.options.showLabels) {
+      this.ctx.fillStyle = this.options.textColor;
+      this.ctx.font = this.getFont(11);
+      this.ctx.textAlign = 'center';
+      labels.forEach((label, i) => {
+        const center = slotLeft(i) + groupWidth / 2;
+        if (center >= area.left && center <= area.right) {
+          this.ctx.fillText(this.formatLabel(label, { kind: 'axis', index: i }), center, area.bottom + 20);
+        }
+      });
+    }
+    
+    this.drawOverview(datasets, (dataset, i) => i + 0.5);
+  }
+  
+  // One bar or stacked segment of category i, with its hit region and value
+  // label. `bar` holds x, width, the value scale, the category label and
+  // the label position.
+  drawBarSegment(segment, i, dataset, bar) {
+    const { x, width, scale } = bar;
+    const clamp = value => Math.min(Math.max(value, scale.min), scale.max);
+    const key = `${dataset.index}:${dataset.indices[i]}`;
+    const base = scale.map(clamp(this.tweenValue(`${key}:start`, segment.start)));
+    const y = scale.map(clamp(this.tweenValue(`${key}:end`, segment.end)));
+    const height = base - y;
+    
+    const color = this.applyGradient(x, y, width, height) || 
+                  dataset.color || this.getColor(dataset.indices[i], this.options.barColorMode);
+    this.ctx.fillStyle = color;
+    
+    this.drawRoundedRect(x, y, width, height, this.getRadius());
+    this.ctx.fill();
+    
+    this.addHitRegion({
+      shape: 'rect', x, y, width, height,
+      label: bar.label, value: this.getValue(dataset.data[i]), series: this.getSeriesName(dataset), index: dataset.indices[i], item: dataset.data[i]
+    });
+    
+    if (this.options.showLabels) {
+      const text = this.options.barMode === 'percent'
+        ? this.formatPercent(segment.value)
+        : this.formatValue(segment.value, { kind: 'label', label: bar.label, series: this.getSeriesName(dataset), index: dataset.indices[i] });
+      this.ctx.font = this.getFont(11);
+      this.drawBarLabel(text, { x, y, width, height }, bar.labelPosition);
+    }
+  }
+  
+  drawHorizontalBar() {
+    const { data, indices } = this.getVisibleData();
+    const area = this.getChartArea(80);
+    const barHeight = area.height / data.length - 10;
+    const scale = this.createScale(data.map(item => this.getValue(item)), area.left, area.right);
+    const clamp = value => Math.min(Math.max(value, scale.min), scale.max);
+    
+    this.drawGrid(scale, area, 'x');
+    this.drawAxisTitles(area);
+    
+    data.forEach((item, i) => {
+      const value = this.getValue(item);
+      const x = scale.map(clamp(0));
+      const barWidth = scale.map(clamp(this.tweenValue(`0:${indices[i]}`, value))) - x;
+      const y = area.top + i * (barHeight + 10);
+      
+      const color = this.applyGradient(x, y, barWidth, barHeight) || 
+                    this.getColor(indices[i], this.options.barColorMode);
+      this.ctx.fillStyle = color;
+      
+      this.drawRoundedRect(x, y, barWidth, barHeight, this.getRadius());
+      this.ctx.fill();
+      
+      this.addHitRegion({
+        shape: 'rect', x, y, width: barWidth, height: barHeight,
+        label: item.label || this.getString('item', { index: indices[i] + 1 }), value, index: indices[i], item
+      });
+      
+      this.ctx.fillStyle = this.options.textColor;
+      this.ctx.font = this.getFont(12);
+      this.ctx.textAlign = 'right';
+      const label = item.label || this.getString('item', { index: indices[i] + 1 });
+      this.ctx.fillText(this.formatLabel(label, { kind: 'axis', index: indices[i] }), area.left - 10, y + barHeight / 2 + 4);
+      const text = this.formatValue(value, { kind: 'label', label, index: indices[i] });
+      this.drawBarLabel(text, { x, y, width: barWidth, height: barHeight }, this.options.labelPosition, true);
+    });
+  }
+  
+  drawLine() {
+    const datasets = this.getDatasets();
+    const labels = this.getCategoryLabels(datasets);
+    const stacks = this.stackDatasets(datasets, this.options.lineMode);
+    const area = this.getChartArea();
+    const scale = this.createScale(this.getStackValues(stacks), area.bottom, area.top);
+    const xAxis = this.createXAxis(datasets, labels, area);
+    
+    this.drawGrid(scale, area);
+    if (xAxis.scale) {
+      this.drawGrid(xAxis.scale, area, 'x');
+    }
+    this.drawAxisTitles(area);
+    this.drawAnnotations('below', area, scale, xAxis);
+    const clipped = this.beginPlotClip(area);
+    
+    stacks.forEach((series, s) => this.drawLineSeries(series, datasets[s], xAxis, scale, area));
+    
+    if (clipped) {
+      this.ctx.restore();
+    }
+    this.drawAnnotations('above', area, scale, xAxis);
+    
+    this.drawOverview(datasets, xAxis.value);
+  }
+  
+  drawLineSeries(series, dataset, xAxis, scale, area) {
+    const baseColor = dataset.color || this.options.colors[0];
+    const geometry = this.getSeriesGeometry(`line:${dataset.index}`, series, dataset, xAxis, scale, area);
+    const { upper } = geometry;
+    
+    const lineColor = !dataset.color && this.options.lineColorMode === 'gradient' 
+      ? this.ctx.createLinearGradient(area.left, 0, area.right, 0)
+      : baseColor;
+      
+    if (typeof lineColor !== 'string') {
+      lineColor.addColorStop(0, this.options.colors[0]);
+      lineColor.addColorStop(1, this.options.colors[1] || this.options.colors[0]);
+    }
+    
+    // Draw fill if enabled
+    if (this.options.lineFill) {
+      const gradient = this.ctx.createLinearGradient(0, area.top, 0, area.bottom);
+      gradient.addColorStop(0, this.withAlpha(baseColor, this.options.fillOpacity));
+      gradient.addColorStop(1, this.withAlpha(baseColor, 0));
+      
+      this.ctx.fillStyle = gradient;
+      this.paintPath(geometry, 'band', 'fill', target => this.traceBand(upper, geometry.lower, target));
+    }
+    
+    // Draw line
+    this.ctx.strokeStyle = lineColor;
+    this.ctx.lineWidth = 3;
+    this.paintPath(geometry, 'line', 'stroke', target => this.tracePath(upper, target));
+    
+    // Draw points, unless they are too dense to tell apart
+    const showMarkers = upper.length <= area.width * this.options.maxMarkerDensity;
+    upper.forEach(point => {
+      if (point.x < area.left - 1 || point.x > area.right + 1) return;
+      if (showMarkers) {
+        const pointColor = !dataset.color && this.options.lineColorMode === 'individual' 
+          ? this.getColor(dataset.indices[point.index]) 
+          : baseColor;
+        
+        this.ctx.fillStyle = pointColor;
+        this.ctx.beginPath();
+        this.ctx.arc(point.x, point.y, 5, 0, Math.PI * 2);
+        this.ctx.fill();
+      }
+      
+      this.addSeriesHitRegion(point, 5, dataset, xAxis.label(dataset, point.index), point.index);
+    });
+  }
+  
+  drawArea() {
+    const datasets = this.getDatasets();
+    const labels = this.getCategoryLabels(datasets);
+    const stacks = this.stackDatasets(datasets, this.options.areaMode);
+    const area = this.getChartArea();
+    const scale = this.createScale(this.getStackValues(stacks), area.bottom, area.top);
+    const xAxis = this.createXAxis(datasets, labels, area);
+    
+    this.drawGrid(scale, area);
+    if (xAxis.scale) {
+      this.drawGrid(xAxis.scale, area, 'x');
+    }
+    this.drawAxisTitles(area);
+    this.drawAnnotations('below', area, scale, xAxis);
+    const clipped = this.beginPlotClip(area);
+    
+    stacks.forEach((series, s) => this.drawAreaSeries(series, datasets[s], xAxis, scale, area));
+    
+    if (clipped) {
+      this.ctx.restore();
+    }
+    this.drawAnnotations('above', area, scale, xAxis);
+    
+    this.drawOverview(datasets, xAxis.value);
+  }
+  
+  drawAreaSeries(series, dataset, xAxis, scale, area) {
+    const color = dataset.color || this.options.colors[0];
+    const geometry = this.getSeriesGeometry(`area:${dataset.index}`, series, dataset, xAxis, scale, area);
+    const { upper } = geometry;
+    
+    const gradient = this.ctx.createLinearGradient(0, area.top, 0, area.bottom);
+    gradient.addColorStop(0, this.withAlpha(color, 0.5));
+    gradient.addColorStop(1, this.withAlpha(color, 0.06));
+    
+    this.ctx.fillStyle = gradient;
+    this.paintPath(geometry, 'band', 'fill', target => this.traceBand(upper, geometry.lower, target));
+    
+    this.ctx.strokeStyle = color;
+    this.ctx.lineWidth = 2;
+    this.paintPath(geometry, 'line', 'stroke', target => this.tracePath(upper, target));
+    
+    upper.forEach(point => {
+      if (point.x < area.left - 1 || point.x > area.right + 1) return;
+      this.addSeriesHitRegion(point, 6, dataset, xAxis.label(dataset, point.index), point.index);
+    });
+  }
+  
+  // A bar / line / area chart becomes a combo chart when a dataset sets its
+  // own `type` or binds to the right-hand axis with `yAxis: 'right'`
+  isCombo() {
+    return ['bar', 'line', 'area'].includes(this.options.type) && this.isMultiSeries() &&
+      this.options.datasets.some(dataset => (
+        (dataset.type && dataset.type !== this.options.type) || dataset.yAxis === 'right'
+      ));
+  }
+  
+  // Bars, lines and areas on a shared category axis. Every type is stacked
+  // per axis following its own mode (barMode / lineMode / areaMode); lines
+  // and area points sit at the centre of each category slot.
+  drawCombo() {
+    const datasets = this.getDatasets();
+    const labels = this.getCategoryLabels(datasets);
+    const area = this.getChartArea();
+    const modes = { bar: this.options.barMode, line: this.options.lineMode, area: this.options.areaMode };
+    const groups = [];
+    ['left', 'right'].forEach(axis => ['area', 'bar', 'line'].forEach(type => {
+      const members = datasets.filter(dataset => dataset.yAxis === axis && (dataset.type || this.options.type) === type);
+      if (!members.length) return;
+      const mode = type === 'bar' && modes.bar === 'grouped' ? 'normal' : modes[type];
+      groups.push({ axis, type, datasets: members, stacks: this.stackDatasets(members, mode) });
+    }));
+    
+    const axisValues = axis => groups
+      .filter(group => group.axis === axis)
+      .reduce((values, group) => values.concat(this.getStackValues(group.stacks)), []);
+    const scale = this.createScale(axisValues('left'), area.bottom, area.top);
+    const rightScale = groups.some(group => group.axis === 'right')
+      ? this.createScale(axisValues('right'), area.bottom, area.top, this.getRightAxisConfig())
+      : null;
+    
+    // Same slots as drawBar: category i occupies [i, i + 1) on the x domain
+    const domain = this.getXDomain({ min: 0, max: Math.max(1, labels.length) }, area);
+    const slotWidth = area.width / (domain.max - domain.min);
+    const slotLeft = i => area.left + (i - domain.min) * slotWidth;
+    const inView = i => i + 1 > domain.min && i < domain.max;
+    const xAxis = {
+      scale: null,
+      domain,
+      value: (dataset, i) => i + 0.5,
+      position: (dataset, i) => slotLeft(i) + slotWidth / 2,
+      map: value => slotLeft(this.getCategoryIndex(labels, value)) + slotWidth / 2,
+      inset: slotWidth / 2,
+      label: (dataset, i) => labels[i]
+    };
+    
+    // Grouped bars of both axes share a slot; stacked bars form one column per axis
+    const barGroups = groups.filter(group => group.type === 'bar');
+    const grouped = modes.bar !== 'stacked' && modes.bar !== 'percent';
+    const columns = grouped ? barGroups.reduce((count, group) => count + group.datasets.length, 0) : barGroups.length;
+    const barWidth = (slotWidth - 10) / Math.max(1, columns);
+    const labelPosition = grouped || this.options.labelPosition === 'inside' ? this.options.labelPosition : 'center';
+    
+    this.drawGrid(scale, area);
+    if (rightScale) {
+      this.drawRightAxis(rightScale, area);
+    }
+    this.drawAxisTitles(area);
+    this.drawAnnotations('below', area, scale, xAxis, rightScale);
+    const clipped = this.beginPlotClip(area);
+    
+    let column = 0;
+    groups.forEach(group => {
+      const groupScale = group.axis === 'right' ? rightScale : scale;
+      group.stacks.forEach((series, s) => {
+        const dataset = group.datasets[s];
+        if (group.type === 'line') {
+          this.drawLineSeries(series, dataset, xAxis, groupScale, area);
+        } else if (group.type === 'area') {
+          this.drawAreaSeries(series, dataset, xAxis, groupScale, area);
+        } else {
+          const offset = 5 + (grouped ? column + s : column) * barWidth;
+          series.forEach((segment, i) => {
+            if (!inView(i)) return;
+            this.drawBarSegment(segment, i, dataset, { x: slotLeft(i) + offset, width: barWidth, scale: groupScale, label: labels[i], labelPosition });
+          });
+        }
+      });
+      if (group.type === 'bar') {
+        column += grouped ? group.datasets.length : 1;
+      }
+    });
+    
+    if (clipped) {
+      this.ctx.restore();
+    }
+    this.drawAnnotations('above', area, scale, xAxis, rightScale);
+    
+    if (this.options.showLabels) {
+      this.ctx.fillStyle = this.options.textColor;
+      this.ctx.font = this.getFont(11);
+      this.ctx.textAlign = 'center';
+      labels.forEach((label, i) => {
+        const center = slotLeft(i) + slotWidth / 2;
+        if (center >= area.left && center <= area.right) {
+          this.ctx.fillText(this.formatLabel(label, { kind: 'axis', index: i }), center, area.bottom + 20);
+        }
+      });
+    }
+    
+    this.drawOverview(datasets, xAxis.value);
+  }
+  
+  // createScale() settings for the right-hand axis from `rightAxis`
+  // ({ min, max, beginAtZero, type, ticks }); unset keys follow the left axis
+  getRightAxisConfig() {
+    const axis = this.options.rightAxis || {};
+    const config = {};
+    ['min', 'max', 'beginAtZero', 'type', 'ticks'].forEach(key => {
+      if (axis[key] !== undefined && axis[key] !== null) config[key] = axis[key];
+    });
+    return config;
+  }
+  
+  // Tick labels (and the `rightAxis.label` title) right of the plot; grid
+  // lines come from the left axis only
+  drawRightAxis(scale, area) {
+    if (this.options.showAxis) {
+      this.ctx.fillStyle = this.options.textColor;
+      this.ctx.font = this.getFont(11);
+      this.ctx.textAlign = 'left';
+      scale.ticks.forEach(tick => {
+        this.ctx.fillText(this.formatTick(tick), area.right + 8, scale.map(tick) + 4);
+      });
+    }
+    
+    const label = this.options.rightAxis && this.options.rightAxis.label;
+    if (label) {
+      this.ctx.save();
+      this.ctx.fillStyle = this.options.textColor;
+      this.ctx.font = this.getAxisLabelStyle().font;
+      this.ctx.textAlign = 'center';
+      this.ctx.translate(area.right + 58, area.top + area.height / 2);
+      this.ctx.rotate(Math.PI / 2);
+      this.ctx.fillText(label, 0, 0);
+      this.ctx.restore();
+    }
+  }
+  
+  // Traces into the context (starting a new path) or into a Path2D target.
+  tracePath(points, target = this.ctx) {
+    if (target === this.ctx) {
+      this.ctx.beginPath();
+    }
+    points.forEach((point, i) => {
+      if (i === 0) {
+        target.moveTo(point.x, point.y);
+      } else {
+        target.lineTo(point.x, point.y);
+      }
+    });
+  }
+  
+  // Closed shape between an upper and a lower line, used for fills and stacked areas.
+  traceBand(upper, lower, target = this.ctx) {
+    this.tracePath(upper, target);
+    for (let i = lower.length - 1; i >= 0; i--) {
+      target.lineTo(lower[i].x, lower[i].y);
+    }
+    target.closePath();
+  }
+  
+  // Pixel points of one line / area series. Series with more points than the
+  // plot is wide are reduced with LTTB first (see `downsample`). Settled
+  // geometry is cached with its Path2D objects until the layout or data change.
+  getSeriesGeometry(key, series, dataset, xAxis, scale, area) {
+    const { progress } = this.animationState;
+    const signature = [
+      series.length, this.dataVersion, area.left, area.top, area.width, area.height,
+      scale.type, scale.min, scale.max,
+      xAxis.domain.min, xAxis.domain.max,
+      [...this.hiddenItems].join(','), [...this.hiddenSeries].join(',')
+    ].join('|');
+    
+    const cached = this.seriesCache.get(key);
+    if (progress === 1 && cached && cached.signature === signature) {
+      cached.values.forEach(([valueKey, value]) => this.displayedValues.set(valueKey, value));
+      return cached;
+    }
+    
+    const toY = value => scale.map(value);
+    const toBaseline = value => scale.map(Math.min(Math.max(value, scale.min), scale.max));
+    const { downsample } = this.options;
+    const threshold = typeof downsample === 'number' ? downsample : Math.round(area.width);
+    const positions = series.map((segment, i) => xAxis.position(dataset, i));
+    let indices = series.map((segment, i) => i);
+    if (this.zoomRange) {
+      // Keep points whose segments cross the view so lines run off the edges
+      const crosses = (a, b) => b >= 0 && b < positions.length &&
+        Math.max(positions[a], positions[b]) >= area.left && Math.min(positions[a], positions[b]) <= area.right;
+      indices = indices.filter(i => crosses(i, i - 1) || crosses(i, i + 1) || crosses(i, i));
+    }
+    if (downsample && indices.length > threshold) {
+      const picked = this.downsampleLTTB(
+        indices.map(i => ({ x: positions[i], y: toY(series[i].end) })),
+        threshold
+      );
+      indices = picked.map(k => indices[k]);
+    }
+    
+    const values = [];
+    const tween = (valueKey, value) => {
+      values.push([valueKey, value]);
+      return this.tweenValue(valueKey, value, false);
+    };
+    const geometry = { signature, values, paths: {}, upper: [], lower: [] };
+    indices.forEach(i => {
+      const key = `${dataset.index}:${dataset.indices[i]}`;
+      const x = positions[i];
+      geometry.upper.push({ x, y: toY(tween(`${key}:end`, series[i].end)), index: i });
+      geometry.lower.push({ x, y: toBaseline(tween(`${key}:start`, series[i].start)), index: i });
+    });
+    
+    if (progress === 1) {
+      this.seriesCache.set(key, geometry);
+    }
+    return geometry;
+  }
+  
+  // Largest-Triangle-Three-Buckets: keeps the first and last points and, from
+  // each bucket in between, the point forming the largest triangle with the
+  // previous pick and the next bucket's average. Returns the kept indices.
+  downsampleLTTB(points, threshold) {
+    const length = points.length;
+    if (threshold >= length || threshold < 3) {
+      return points.map((point, i) => i);
+    }
+    
+    const indices = [0];
+    const bucketSize = (length - 2) / (threshold - 2);
+    let previous = 0;
+    
+    for (let bucket = 0; bucket < threshold - 2; bucket++) {
+      const nextStart = Math.floor((bucket + 1) * bucketSize) + 1;
+      const nextEnd = Math.min(Math.floor((bucket + 2) * bucketSize) + 1, length);
+      let averageX = 0;
+      let averageY = 0;
+      for (let j = nextStart; j < nextEnd; j++) {
+        averageX += points[j].x;
+        averageY += points[j].y;
+      }
+      averageX /= nextEnd - nextStart;
+      averageY /= nextEnd - nextStart;
+      
+      const start = Math.floor(bucket * bucketSize) + 1;
+      const end = Math.floor((bucket + 1) * bucketSize) + 1;
+      const anchor = points[previous];
+      let maxArea = -1;
+      let chosen = start;
+      for (let j = start; j < end; j++) {
+        const area = Math.abs(
+          (anchor.x - averageX) * (points[j].y - anchor.y) -
+          (anchor.x - points[j].x) * (averageY - anchor.y)
+        );
+        if (area > maxArea) {
+          maxArea = area;
+          chosen = j;
+        }
+      }
+      
+      indices.push(chosen);
+      previous = chosen;
+    }
+    
+    indices.push(length - 1);
+    return indices;
+  }
+  
+  // Fills or strokes a traced shape through a cached Path2D where the context
+  // supports one; otherwise traces straight into the context.
+  paintPath(geometry, name, mode, trace) {
+    if (typeof Path2D === 'undefined' || this.ctx instanceof VibeChartsSVGContext) {
+      trace(this.ctx);
+      this.ctx[mode]();
+      return;
+    }
+    
+    if (!geometry.paths[name]) {
+      geometry.paths[name] = new Path2D();
+      trace(geometry.paths[name]);
+    }
+    this.ctx[mode](geometry.paths[name]);
   }
   
   drawPie() {
-    const data = this.options.data;
-    const centerX = this.canvas.width / 2;
-    const centerY = this.canvas.height / 2;
+    const { data, indices } = this.getVisibleData();
+    const centerX = this.width / 2;
+    const centerY = this.height / 2;
     const radius = Math.min(centerX, centerY) - 60;
-    const total = data.reduce((sum, item) => sum + (item.value || item), 0);
+    const total = data.reduce((sum, item) => sum + this.getValue(item), 0);
+    const sweep = this.getSweepValues(data, indices, total);
+    
+    let startAngle = -Math.PI / 2;
+    
+    data.forEach((item, i) => {
+      const value = this.getValue(item);
+      const sliceAngle = (sweep.values[i] / sweep.total) * Math.PI * 2;
+      
+      this.ctx.fillStyle = this.getColor(indices[i]);
+      this.ctx.beginPath();
+      this.ctx.moveTo(centerX, centerY);
+      this.ctx.arc(centerX, centerY, radius, startAngle, startAngle + sliceAngle);
+      this.ctx.closePath();
+      this.ctx.fill();
+      
+      this.addHitRegion({
+        shape: 'arc', x: centerX, y: centerY, innerRadius: 0, outerRadius: radius,
+        startAngle, endAngle: startAngle + sliceAngle,
+        label: item.label || this.getString('item', { index: indices[i] + 1 }), value, index: indices[i], item
+      });
+      
+      // labelPosition: 'outside' next to the slice, 'center' halfway out,
+      // anything else close to the rim
+      const position = this.options.labelPosition;
+      const labelAngle = startAngle + sliceAngle / 2;
+      const distance = position === 'outside' ? radius + 16 : radius * (position === 'center' ? 0.5 : 0.7);
+      const cos = Math.cos(labelAngle);
+      const labelX = centerX + cos * distance;
+      const labelY = centerY + Math.sin(labelAngle) * distance;
+      
+      if (position === 'outside') {
+        this.ctx.fillStyle = this.options.textColor;
+        this.ctx.textAlign = cos > 0.1 ? 'left' : cos < -0.1 ? 'right' : 'center';
+      } else {
+        this.ctx.fillStyle = '#fff';
+        this.ctx.textAlign = 'center';
+      }
+      this.ctx.font = this.getFont(14, 'bold');
+      this.ctx.fillText(this.formatPercent((value / total) * 100), labelX, labelY);
+      
+      startAngle += sliceAngle;
+    });
+  }
+  
+  drawDonut() {
+    const { data, indices } = this.getVisibleData();
+    const centerX = this.width / 2;
+    const centerY = this.height / 2;
+    const outerRadius = Math.min(centerX, centerY) - 60;
+    const innerRadius = outerRadius * 0.6;
+    const total = data.reduce((sum, item) => sum + this.getValue(item), 0);
+    const sweep = this.getSweepValues(data, indices, total);
+    
+    let startAngle = -Math.PI / 2;
+    
+    data.forEach((item, i) => {
+      const value = this.getValue(item);
+      const sliceAngle = (sweep.values[i] / sweep.total) * Math.PI * 2;
+      
+      this.ctx.fillStyle = this.getColor(indices[i]);
+      this.ctx.beginPath();
+      this.ctx.arc(centerX, centerY, outerRadius, startAngle, startAngle + sliceAngle);
+      this.ctx.arc(centerX, centerY, innerRadius, startAngle + sliceAngle, startAngle, true);
+      this.ctx.closePath();
+      this.ctx.fill();
+      
+      this.addHitRegion({
+        shape: 'arc', x: centerX, y: centerY, innerRadius, outerRadius,
+        startAngle, endAngle: startAngle + sliceAngle,
+        label: item.label || this.getString('item', { index: indices[i] + 1 }), value, index: indices[i], item
+      });
+      
+      startAngle += sliceAngle;
+    });
+    
+    this.ctx.fillStyle = this.options.textColor;
+    this.ctx.font = this.getFont(32, 'bold');
+    this.ctx.textAlign = 'center';
+    this.ctx.fillText(this.formatValue(total, { kind: 'total' }), centerX, centerY + 10);
+    this.ctx.font = this.getFont(14);
+    this.ctx.fillText(this.getString('total'), centerX, centerY + 30);
+  }
+  
+  drawRadar() {
+    const datasets = this.getDatasets();
+    const labels = this.getCategoryLabels(datasets);
+    const centerX = this.width / 2;
+    const centerY = this.height / 2;
+    const radius = Math.min(centerX, centerY) - 80;
+    const numPoints = labels.length;
+    const angleStep = (Math.PI * 2) / numPoints;
+    const scale = this.createRadialScale(this.getStackValues(this.stackDatasets(datasets)), radius);
+    
+    this.drawRadialGrid(centerX, centerY, scale);
+    
+    this.ctx.strokeStyle = this.options.gridColor;
+    labels.forEach((label, i) => {
+      const angle = angleStep * i - Math.PI / 2;
+      const x = centerX + Math.cos(angle) * radius;
+      const y = centerY + Math.sin(angle) * radius;
+      
+      this.ctx.beginPath();
+      this.ctx.moveTo(centerX, centerY);
+      this.ctx.lineTo(x, y);
+      this.ctx.stroke();
+      
+      const labelX = centerX + Math.cos(angle) * (radius + 20);
+      const labelY = centerY + Math.sin(angle) * (radius + 20);
+      this.ctx.fillStyle = this.options.textColor;
+      this.ctx.textAlign = 'center';
+      this.ctx.font = this.getFont(12);
+      this.ctx.fillText(this.formatLabel(label || this.getString('axis', { index: i + 1 }), { kind: 'axis', index: i }), labelX, labelY);
+    });
+    
+    datasets.forEach(dataset => {
+      const color = dataset.color || this.getColor(0);
+      const vertices = dataset.data.map((item, i) => {
+        const value = this.tweenValue(`${dataset.index}:${i}`, this.getValue(item));
+        const angle = angleStep * i - Math.PI / 2;
+        const distance = scale.map(Math.min(Math.max(value, scale.min), scale.max));
+        return { x: centerX + Math.cos(angle) * distance, y: centerY + Math.sin(angle) * distance };
+      });
+      
+      this.tracePath(vertices);
+      this.ctx.closePath();
+      // globalAlpha keeps translucent fills working for any CSS color format
+      if (dataset.fill !== false) {
+        this.ctx.globalAlpha = this.isMultiSeries() ? 0.25 : 0.375;
+        this.ctx.fillStyle = color;
+        this.ctx.fill();
+        this.ctx.globalAlpha = 1;
+      }
+      this.ctx.strokeStyle = color;
+      this.ctx.lineWidth = 2;
+      this.ctx.stroke();
+      
+      vertices.forEach((vertex, i) => {
+        this.ctx.fillStyle = color;
+        this.ctx.beginPath();
+        this.ctx.arc(vertex.x, vertex.y, 3, 0, Math.PI * 2);
+        this.ctx.fill();
+        
+        this.addSeriesHitRegion(vertex, 6, dataset, labels[i], i);
+      });
+    });
+    
+    this.drawRadialTickLabels(centerX, centerY, scale);
+  }
+  
+  drawPolar() {
+    const { data, indices } = this.getVisibleData();
+    const centerX = this.width / 2;
+    const centerY = this.height / 2 + (this.options.title ? 15 : 0);
+    const radius = Math.min(this.width / 2, this.height / 2) - 60;
+    const angleStep = (Math.PI * 2) / Math.max(data.length, 1);
+    const scale = this.createRadialScale(data.map(item => this.getValue(item)), radius);
+    
+    this.drawRadialGrid(centerX, centerY, scale);
+    
+    data.forEach((item, i) => {
+      const value = this.getValue(item);
+      const startAngle = angleStep * i - Math.PI / 2;
+      const endAngle = startAngle + angleStep;
+      const animated = this.tweenValue(`0:${indices[i]}`, value);
+      const sectorRadius = Math.max(0, scale.map(Math.min(Math.max(animated, scale.min), scale.max)));
+      const color = this.getColor(indices[i]);
+      
+      this.ctx.fillStyle = color;
+      this.ctx.strokeStyle = color;
+      this.ctx.lineWidth = 1;
+      this.ctx.beginPath();
+      this.ctx.moveTo(centerX, centerY);
+      this.ctx.arc(centerX, centerY, sectorRadius, startAngle, endAngle);
+      this.ctx.closePath();
+      this.ctx.globalAlpha = 0.75;
+      this.ctx.fill();
+      this.ctx.globalAlpha = 1;
+      this.ctx.stroke();
+      
+      this.addHitRegion({
+        shape: 'arc', x: centerX, y: centerY, innerRadius: 0, outerRadius: sectorRadius,
+        startAngle, endAngle,
+        label: item.label || this.getString('item', { index: indices[i] + 1 }), value, index: indices[i], item
+      });
+      
+      if (this.options.showLabels) {
+        const labelAngle = startAngle + angleStep / 2;
+        this.ctx.fillStyle = this.options.textColor;
+        this.ctx.font = this.getFont(12);
+        this.ctx.textAlign = 'center';
+        this.ctx.fillText(
+          item.label || this.getString('item', { index: indices[i] + 1 }),
+          centerX + Math.cos(labelAngle) * (radius + 20),
+          centerY + Math.sin(labelAngle) * (radius + 20) + 4
+        );
+      }
+    });
+    
+    this.drawRadialTickLabels(centerX, centerY, scale);
+  }
+  
+  // Radial value scale from the center (0) to the outer ring, capped by radialMax when set.
+  createRadialScale(values, radius) {
+    return this.createScale(values, 0, radius, {
+      min: 0,
+      max: this.options.radialMax,
+      beginAtZero: true,
+      type: 'linear',
+      ticks: this.options.yTicks
+    });
+  }
+  
+  drawRadialGrid(centerX, centerY, scale) {
+    this.ctx.strokeStyle = this.options.gridColor;
+    this.ctx.lineWidth = 1;
     
-    let startAngle = -Math.PI / 2;
+    scale.ticks.forEach(tick => {
+      if (tick <= scale.min) return;
+      this.ctx.beginPath();
+      this.ctx.arc(centerX, centerY, scale.map(tick), 0, Math.PI * 2);
+      this.ctx.stroke();
+    });
+  }
+  
+  drawRadialTickLabels(centerX, centerY, scale) {
+    if (!this.options.showAxis) return;
     
-    data.forEach((item, i) => {
-      const value = item.value || item;
-      const sliceAngle = (value / total) * Math.PI * 2;
+    this.ctx.fillStyle = this.options.textColor;
+    this.ctx.font = this.getFont(10);
+    this.ctx.textAlign = 'left';
+    
+    scale.ticks.forEach(tick => {
+      if (tick <= scale.min) return;
+      this.ctx.fillText(this.formatTick(tick), centerX + 4, centerY - scale.map(tick) + 12);
+    });
+  }
+  
+  // One gauge per item of `data` (an object or an array of them), laid out in
+  // a grid. Each item may override the `gauge` option keys it needs.
+  drawGauge() {
+    const items = this.getGaugeItems();
+    if (!items.length) return;
+    
+    const defaults = this.options.gauge || {};
+    const top = this.options.title ? 50 : 10;
+    const columns = defaults.columns ||
+      Math.min(items.length, Math.max(1, Math.round(Math.sqrt(items.length * this.width / (this.height - top)))));
+    const rows = Math.ceil(items.length / columns);
+    const cellWidth = this.width / columns;
+    const cellHeight = (this.height - top) / rows;
+    
+    items.forEach((item, k) => {
+      const config = this.getGaugeConfig(item);
+      const sweep = (Math.min(Math.max(config.sweep, 30), 360) * Math.PI) / 180;
+      const startAngle = -Math.PI / 2 - sweep / 2;
+      const endAngle = startAngle + sweep;
+      // Share of the radius the arc reaches below its centre (0 up to 180 degrees)
+      const below = Math.max(0, -Math.cos(sweep / 2));
+      const textRoom = config.style === 'needle' ? 70 : 50;
+      const radius = Math.max(10, Math.min(cellWidth / 2 - 24, (cellHeight - 30 - (below > 0.3 ? 10 : textRoom)) / (1 + below)));
+      const centerX = (k % columns) * cellWidth + cellWidth / 2;
+      const centerY = top + Math.floor(k / columns) * cellHeight + 20 + radius;
+      const trackWidth = Math.max(6, radius * 0.12);
       
-      this.ctx.fillStyle = this.getColor(i);
+      const { min, max } = config;
+      const span = max - min || 1;
+      const toAngle = value => startAngle + Math.min(Math.max((value - min) / span, 0), 1) * sweep;
+      const value = this.tweenValue(`gauge:${k}`, config.value);
+      
+      // Track, painted with the threshold bands when there are any
+      this.ctx.lineCap = 'butt';
+      this.ctx.lineWidth = trackWidth;
+      this.ctx.strokeStyle = this.options.gridColor;
       this.ctx.beginPath();
-      this.ctx.moveTo(centerX, centerY);
-      this.ctx.arc(centerX, centerY, radius, startAngle, startAngle + sliceAngle);
-      this.ctx.closePath();
-      this.ctx.fill();
+      this.ctx.arc(centerX, centerY, radius, startAngle, endAngle);
+      this.ctx.stroke();
       
-      const labelAngle = startAngle + sliceAngle / 2;
-      const labelX = centerX + Math.cos(labelAngle) * (radius * 0.7);
-      const labelY = centerY + Math.sin(labelAngle) * (radius * 0.7);
+      let from = min;
+      config.thresholds.forEach(band => {
+        this.ctx.globalAlpha = config.style === 'needle' ? 1 : 0.3;
+        this.ctx.strokeStyle = band.color;
+        this.ctx.beginPath();
+        this.ctx.arc(centerX, centerY, radius, toAngle(from), toAngle(band.value));
+        this.ctx.stroke();
+        this.ctx.globalAlpha = 1;
+        from = band.value;
+      });
+      
+      if (config.style === 'needle') {
+        const angle = toAngle(value);
+        const length = radius - trackWidth / 2 - 4;
+        this.ctx.strokeStyle = this.options.textColor;
+        this.ctx.fillStyle = this.options.textColor;
+        this.ctx.lineWidth = Math.max(2, radius * 0.025);
+        this.ctx.lineCap = 'round';
+        this.ctx.beginPath();
+        this.ctx.moveTo(centerX, centerY);
+        this.ctx.lineTo(centerX + Math.cos(angle) * length, centerY + Math.sin(angle) * length);
+        this.ctx.stroke();
+        this.ctx.beginPath();
+        this.ctx.arc(centerX, centerY, Math.max(4, radius * 0.06), 0, Math.PI * 2);
+        this.ctx.fill();
+      } else if (value > min) {
+        const band = config.thresholds.find(threshold => config.value <= threshold.value);
+        let color = band ? band.color : null;
+        if (!color) {
+          color = this.ctx.createLinearGradient(centerX - radius, centerY, centerX + radius, centerY);
+          color.addColorStop(0, this.options.colors[0]);
+          color.addColorStop(1, this.options.colors[1] || this.options.colors[0]);
+        }
+        this.ctx.strokeStyle = color;
+        this.ctx.lineCap = 'round';
+        this.ctx.beginPath();
+        this.ctx.arc(centerX, centerY, radius, startAngle, toAngle(value));
+        this.ctx.stroke();
+      }
+      this.ctx.lineCap = 'butt';
+      
+      this.drawGaugeTicks(config, { centerX, centerY, radius, trackWidth, toAngle });
+      
+      if (config.target !== null && config.target !== undefined) {
+        const angle = toAngle(config.target);
+        const inner = radius - trackWidth / 2 - 5;
+        const outer = radius + trackWidth / 2 + 5;
+        this.ctx.strokeStyle = this.options.textColor;
+        this.ctx.lineWidth = 3;
+        this.ctx.beginPath();
+        this.ctx.moveTo(centerX + Math.cos(angle) * inner, centerY + Math.sin(angle) * inner);
+        this.ctx.lineTo(centerX + Math.cos(angle) * outer, centerY + Math.sin(angle) * outer);
+        this.ctx.stroke();
+      }
       
-      this.ctx.fillStyle = '#fff';
-      this.ctx.font = 'bold 14px Inter, Arial';
+      const label = item.label || (items.length === 1 && this.options.title) || this.getTypeName();
+      const fontSize = Math.round(Math.min(48, Math.max(14, radius * 0.3)));
+      const valueY = config.style === 'needle'
+        ? centerY + (below > 0.3 ? radius * 0.5 : 14 + fontSize)
+        : centerY + (below > 0.3 ? fontSize * 0.35 : fontSize * 0.3);
+      this.ctx.fillStyle = this.options.textColor;
       this.ctx.textAlign = 'center';
-      const percentage = ((value / total) * 100).toFixed(1) + '%';
-      this.ctx.fillText(percentage, labelX, labelY);
+      this.ctx.font = this.getFont(fontSize, 'bold');
+      this.ctx.fillText(`${this.formatValue(config.value, { kind: 'label', label, index: k })}${config.unit}`, centerX, valueY);
+      this.ctx.font = this.getFont(Math.max(11, Math.round(fontSize / 3)));
+      const caption = item.label || `/ ${this.formatValue(max, { kind: 'label', index: k })}${config.unit}`;
+      this.ctx.fillText(caption, centerX, valueY + Math.max(16, fontSize * 0.5));
       
-      startAngle += sliceAngle;
+      this.addHitRegion({
+        shape: 'arc', x: centerX, y: centerY, innerRadius: radius - trackWidth, outerRadius: radius + trackWidth,
+        startAngle, endAngle,
+        label, value: config.value, index: k, item
+      });
     });
   }
   
-  drawDonut() {
+  getGaugeItems() {
     const data = this.options.data;
-    const centerX = this.canvas.width / 2;
-    const centerY = this.canvas.height / 2;
-    const outerRadius = Math.min(centerX, centerY) - 60;
-    const innerRadius = outerRadius * 0.6;
-    const total = data.reduce((sum, item) => sum + (item.value || item), 0);
+    const items = Array.isArray(data) ? data : data && typeof data === 'object' ? [data] : [];
+    return items.map(item => (typeof item === 'number' ? { value: item } : item)).filter(item => item && typeof item === 'object');
+  }
+  
+  // `gauge` option defaults with the item's own keys on top. Thresholds are
+  // sorted and end at max: [{ value, color }] colors the range up to value.
+  getGaugeConfig(item) {
+    const config = {
+      min: 0,
+      max: 100,
+      style: 'arc',
+      sweep: 180,
+      ticks: 5,
+      unit: '',
+      target: null,
+      thresholds: [],
+      ...this.options.gauge,
+      ...item
+    };
+    const value = Number(config.value);
+    config.value = Number.isFinite(value) ? value : config.min;
+    config.thresholds = [...(config.thresholds || [])]
+      .filter(band => band && Number.isFinite(Number(band.value)))
+      .sort((a, b) => a.value - b.value);
+    return config;
+  }
+  
+  drawGaugeTicks(config, { centerX, centerY, radius, trackWidth, toAngle }) {
+    if (!config.ticks || !this.options.showAxis) return;
     
-    let startAngle = -Math.PI / 2;
+    const ticks = this.getNiceTicks(config.min, config.max, config.ticks + 1)
+      .filter(tick => tick >= config.min && tick <= config.max);
+    const outer = radius + trackWidth / 2 + 2;
+    const labelRadius = radius - trackWidth / 2 - Math.max(12, radius * 0.1);
+    
+    this.ctx.strokeStyle = this.options.textColor;
+    this.ctx.fillStyle = this.options.textColor;
+    this.ctx.lineWidth = 1;
+    this.ctx.font = this.getFont(Math.max(9, Math.min(12, Math.round(radius / 12))));
+    this.ctx.textAlign = 'center';
+    ticks.forEach(tick => {
+      const angle = toAngle(tick);
+      const cos = Math.cos(angle);
+      const sin = Math.sin(angle);
+      this.ctx.beginPath();
+      this.ctx.moveTo(centerX + cos * outer, centerY + sin * outer);
+      this.ctx.lineTo(centerX + cos * (outer + 5), centerY + sin * (outer + 5));
+      this.ctx.stroke();
+      this.ctx.fillText(this.formatTick(tick), centerX + cos * labelRadius, centerY + sin * labelRadius + 4);
+    });
+  }
+  
+  drawHeatmap() {
+    const config = this.getHeatmapConfig();
+    if (config.layout === 'calendar') {
+      this.drawCalendarHeatmap(config);
+      return;
+    }
+    
+    const data = Array.isArray(this.options.data) ? this.options.data : [];
+    const area = this.getChartArea();
+    const rows = data.length;
+    const cols = data.reduce((max, row) => Math.max(max, (row.values || []).length), 0);
+    if (rows === 0 || cols === 0) return;
+    const cellWidth = area.width / cols;
+    const cellHeight = area.height / rows;
+    const scale = this.getHeatmapScale(data.flatMap(row => row.values || []), config);
+    
+    this.ctx.fillStyle = this.options.textColor;
+    this.ctx.font = this.getFont(12);
+    this.ctx.textAlign = 'right';
+    data.forEach((row, i) => {
+      const label = this.formatLabel(row.label || this.getString('row', { index: i + 1 }), { kind: 'axis', index: i });
+      this.ctx.fillText(this.fitText(String(label), area.left - 16), area.left - 8, area.top + (i + 0.5) * cellHeight + 4);
+    });
+    this.ctx.textAlign = 'center';
+    for (let j = 0; j < cols; j++) {
+      this.ctx.fillText(this.fitText(String(this.formatLabel(this.getHeatmapColumn(config, j), { kind: 'axis', index: j })), cellWidth - 4), area.left + (j + 0.5) * cellWidth, area.top - 8);
+    }
+    
+    data.forEach((row, i) => {
+      for (let j = 0; j < cols; j++) {
+        const value = (row.values || [])[j];
+        this.drawHeatmapCell({ x: area.left + j * cellWidth, y: area.top + i * cellHeight, width: cellWidth, height: cellHeight }, value, scale, config, {
+          label: row.label || this.getString('row', { index: i + 1 }), series: this.getHeatmapColumn(config, j), index: j, item: row
+        });
+      }
+    });
+    
+    this.drawColorScale(scale, config, area, area.bottom + 22);
+  }
+  
+  // Daily values laid out as weeks (columns) by weekdays (rows)
+  drawCalendarHeatmap(config) {
+    const days = this.getCalendarDays();
+    if (days.length === 0) return;
+    
+    const area = this.getChartArea();
+    const offset = (days[0].date.getDay() - config.weekStart + 7) % 7;
+    const weeks = Math.ceil((offset + days.length) / 7);
+    const size = Math.min(area.width / weeks, area.height / 7);
+    const left = area.left + (area.width - size * weeks) / 2;
+    const scale = this.getHeatmapScale(days.map(day => day.value), config);
+    const dayFormat = this.getDateFormat({ year: 'numeric', month: 'short', day: 'numeric' });
+    
+    this.ctx.fillStyle = this.options.textColor;
+    this.ctx.font = this.getFont(Math.max(9, Math.min(12, Math.round(size * 0.6))));
+    this.ctx.textAlign = 'right';
+    const weekdayFormat = this.getDateFormat({ weekday: 'short' });
+    for (let row = 0; row < 7; row++) {
+      if (size < 16 && row % 2 === 0) continue;
+      const date = new Date(days[0].date);
+      date.setDate(date.getDate() + row - offset);
+      this.ctx.fillText(weekdayFormat.format(date), left - 6, area.top + (row + 0.5) * size + 4);
+    }
+    
+    this.ctx.textAlign = 'left';
+    const monthFormat = this.getDateFormat({ month: 'short' });
+    let nextLabelX = -Infinity;
+    days.forEach((day, i) => {
+      if (i > 0 && day.date.getDate() !== 1) return;
+      const x = left + Math.floor((offset + i) / 7) * size;
+      const text = monthFormat.format(day.date);
+      if (x < nextLabelX) return;
+      this.ctx.fillText(text, x, area.top - 8);
+      nextLabelX = x + this.ctx.measureText(text).width + 8;
+    });
+    
+    days.forEach((day, i) => {
+      const position = offset + i;
+      const cell = { x: left + Math.floor(position / 7) * size, y: area.top + (position % 7) * size, width: size, height: size };
+      this.drawHeatmapCell(cell, day.value, scale, { ...config, showValues: false }, {
+        label: dayFormat.format(day.date), index: i, item: day.item
+      });
+    });
+    
+    this.drawColorScale(scale, config, area, area.top + size * 7 + 22);
+  }
+  
+  drawHeatmapCell(cell, value, scale, config, region) {
+    const gap = Math.min(2, cell.width / 8, cell.height / 8);
+    const x = cell.x + gap;
+    const y = cell.y + gap;
+    const width = cell.width - gap * 2;
+    const height = cell.height - gap * 2;
+    const missing = value === null || value === undefined || !Number.isFinite(Number(value));
+    const color = missing ? config.nullColor || this.options.gridColor : scale.color(Number(value));
+    
+    this.ctx.fillStyle = color;
+    this.drawRoundedRect(x, y, width, height, Math.min(this.getRadius(), width / 4, height / 4));
+    this.ctx.fill();
+    if (missing) return;
+    
+    this.addHitRegion({ shape: 'rect', x, y, width, height, value: Number(value), ...region });
+    
+    if (!config.showValues) return;
+    const text = this.formatValue(Number(value), { kind: 'label', label: region.label, index: region.index });
+    this.ctx.font = this.getFont(12);
+    this.ctx.textAlign = 'center';
+    if (height < 14 || this.ctx.measureText(text).width > width - 4) return;
+    const rgb = this.parseColor(color);
+    const light = rgb && (rgb.r * 0.299 + rgb.g * 0.587 + rgb.b * 0.114) / 255 > 0.6;
+    this.ctx.fillStyle = light ? '#000' : '#fff';
+    this.ctx.fillText(text, x + width / 2, y + height / 2 + 4);
+  }
+  
+  // Horizontal gradient bar with the scale's end values (and midpoint)
+  drawColorScale(scale, config, area, y) {
+    if (!config.legend || !this.options.showLegend) return;
+    
+    const width = Math.min(240, area.width);
+    const x = area.left + (area.width - width) / 2;
+    const gradient = this.ctx.createLinearGradient(x, 0, x + width, 0);
+    scale.stops.forEach((color, i) => {
+      gradient.addColorStop(scale.stops.length > 1 ? i / (scale.stops.length - 1) : 0, color);
+    });
+    this.ctx.fillStyle = gradient;
+    this.ctx.fillRect(x, y, width, 10);
+    
+    const labels = [[scale.min, x], [scale.max, x + width]];
+    if (scale.diverging) labels.push([scale.midpoint, x + width / 2]);
+    this.ctx.fillStyle = this.options.textColor;
+    this.ctx.font = this.getFont(11);
+    this.ctx.textAlign = 'center';
+    labels.forEach(([value, labelX]) => {
+      this.ctx.fillText(this.formatTick(value), labelX, y + 24);
+    });
+  }
+  
+  getHeatmapConfig() {
+    const config = {
+      layout: 'grid',
+      scale: 'sequential',
+      colors: null,
+      midpoint: 0,
+      min: null,
+      max: null,
+      columns: null,
+      nullColor: null,
+      showValues: true,
+      legend: true,
+      weekStart: 1,
+      ...this.options.heatmap
+    };
+    if (!Array.isArray(config.colors) || config.colors.length === 0) {
+      config.colors = config.scale === 'diverging'
+        ? ['#4facfe', '#f5f5f5', '#fa709a']
+        : [this.options.colors[0], this.options.colors[1] || '#ff0000'];
+    }
+    return config;
+  }
+  
+  getHeatmapColumn(config, index) {
+    return Array.isArray(config.columns) && config.columns[index] !== undefined
+      ? config.columns[index]
+      : this.getString('column', { index: index + 1 });
+  }
+  
+  // Maps values onto the color stops. Sequential scales start at zero unless
+  // `min` is set; diverging scales put `midpoint` on the middle stop.
+  getHeatmapScale(values, config) {
+    const extent = this.getExtent(values.filter(value => value !== null && value !== undefined).map(Number));
+    const diverging = config.scale === 'diverging';
+    const midpoint = Number(config.midpoint) || 0;
+    const min = config.min !== null ? config.min : diverging ? Math.min(extent.min, midpoint) : Math.min(0, extent.min);
+    const max = config.max !== null ? config.max : diverging ? Math.max(extent.max, midpoint) : extent.max;
+    const stops = config.colors.map(color => {
+      const rgb = this.parseColor(color);
+      return rgb ? `rgb(${rgb.r},${rgb.g},${rgb.b})` : color;
+    });
+    
+    const position = value => {
+      if (diverging) {
+        if (value < midpoint) return midpoint > min ? 0.5 * (value - min) / (midpoint - min) : 0.5;
+        return max > midpoint ? 0.5 + 0.5 * (value - midpoint) / (max - midpoint) : 0.5;
+      }
+      return max > min ? (value - min) / (max - min) : 1;
+    };
+    const color = value => {
+      const t = Math.max(0, Math.min(1, position(value))) * (stops.length - 1);
+      const i = Math.min(stops.length - 2, Math.floor(t));
+      return stops.length > 1 ? this.interpolateColor(stops[i], stops[i + 1], t - i) : stops[0];
+    };
+    
+    return { min, max, midpoint, diverging, stops, color };
+  }
+  
+  // One entry per day from the first to the last date; repeated dates are summed
+  getCalendarDays() {
+    const totals = new Map();
+    (Array.isArray(this.options.data) ? this.options.data : []).forEach(item => {
+      if (!item || typeof item !== 'object') return;
+      const time = this.parseTime(item.date !== undefined ? item.date : item.x !== undefined ? item.x : item.label);
+      if (!Number.isFinite(time)) return;
+      const date = new Date(time);
+      date.setHours(0, 0, 0, 0);
+      const entry = totals.get(date.getTime()) || { value: null, item };
+      const value = item !== null && typeof item === 'object' ? item.value : item;
+      if (value !== null && value !== undefined && Number.isFinite(Number(value))) {
+        entry.value = (entry.value || 0) + Number(value);
+      }
+      totals.set(date.getTime(), entry);
+    });
+    if (totals.size === 0) return [];
+    
+    const times = [...totals.keys()].sort((a, b) => a - b);
+    const days = [];
+    const last = new Date(times[times.length - 1]);
+    for (const date = new Date(times[0]); date <= last; date.setDate(date.getDate() + 1)) {
+      const entry = totals.get(date.getTime());
+      days.push({ date: new Date(date), value: entry ? entry.value : null, item: entry ? entry.item : null });
+    }
+    return days;
+  }
+  
+  drawWaterfall() {
+    const data = this.options.data;
+    const area = this.getChartArea();
+    const barWidth = area.width / data.length - 10;
+    
+    const values = data.map(item => this.getValue(item));
+    const accumulate = (acc, val, i) => {
+      acc.push(i === 0 ? val : acc[i - 1] + val);
+      return acc;
+    };
+    const scale = this.createScale([...values.reduce(accumulate, []), 0], area.bottom, area.top);
+    const cumulative = values.map((value, i) => this.tweenValue(`0:${i}`, value)).reduce(accumulate, []);
+    
+    this.drawGrid(scale, area);
+    this.drawAxisTitles(area);
     
     data.forEach((item, i) => {
-      const value = item.value || item;
-      const sliceAngle = (value / total) * Math.PI * 2;
+      const value = values[i];
+      const prevCumulative = i === 0 ? 0 : cumulative[i - 1];
+      const currentCumulative = cumulative[i];
       
-      this.ctx.fillStyle = this.getColor(i);
-      this.ctx.beginPath();
-      this.ctx.arc(centerX, centerY, outerRadius, startAngle, startAngle + sliceAngle);
-      this.ctx.arc(centerX, centerY, innerRadius, startAngle + sliceAngle, startAngle, true);
-      this.ctx.closePath();
+      const x = area.left + i * (barWidth + 10);
+      const y = scale.map(Math.max(prevCumulative, currentCumulative));
+      const barHeight = scale.map(Math.min(prevCumulative, currentCumulative)) - y;
+      
+      const color = value >= 0 ? this.options.colors[2] || '#43e97b' : this.options.colors[3] || '#f5576c';
+      this.ctx.fillStyle = color;
+      
+      this.drawRoundedRect(x, y, barWidth, barHeight, this.getRadius());
       this.ctx.fill();
       
-      startAngle += sliceAngle;
+      this.addHitRegion({
+        shape: 'rect', x, y, width: barWidth, height: barHeight,
+        label: item.label || this.getString('item', { index: i + 1 }), value, index: i, item
+      });
+      
+      if (i > 0) {
+        this.ctx.strokeStyle = this.options.gridColor;
+        this.ctx.setLineDash([5, 3]);
+        this.ctx.beginPath();
+        const prevX = area.left + (i - 1) * (barWidth + 10) + barWidth;
+        const prevY = scale.map(prevCumulative);
+        this.ctx.moveTo(prevX, prevY);
+        this.ctx.lineTo(x, prevY);
+        this.ctx.stroke();
+        this.ctx.setLineDash([]);
+      }
+      
+      this.ctx.fillStyle = this.options.textColor;
+      this.ctx.font = this.getFont(12);
+      this.ctx.textAlign = 'center';
+      const label = item.label || this.getString('item', { index: i + 1 });
+      this.ctx.fillText(this.formatLabel(label, { kind: 'axis', index: i }), x + barWidth / 2, area.bottom + 20);
+    });
+  }
+  
+  drawScatter() {
+    this.drawPoints(false);
+  }
+  
+  drawBubble() {
+    this.drawPoints(true);
+  }
+  
+  // Shared renderer for scatter ({x, y}) and bubble ({x, y, r}) charts on numeric axes.
+  drawPoints(bubble) {
+    const series = this.getPointSeries();
+    const area = this.getChartArea();
+    const points = series.flatMap(dataset => dataset.data);
+    const xs = points.map(point => Number(point.x));
+    const ys = points.map(point => Number(point.y));
+    const tickCount = Math.max(2, Math.round(area.width / 100));
+    const xScale = this.createScale(xs, area.left, area.right, {
+      min: this.options.xMin, max: this.options.xMax, beginAtZero: false, type: 'linear', ticks: tickCount
     });
+    const yScale = this.createScale(ys, area.bottom, area.top);
+    const maxR = bubble ? this.getExtent(points.map(point => Math.abs(Number(point.r) || 0))).max || 1 : 1;
     
-    this.ctx.fillStyle = this.options.textColor;
-    this.ctx.font = 'bold 32px Inter, Arial';
-    this.ctx.textAlign = 'center';
-    this.ctx.fillText(total, centerX, centerY + 10);
-    this.ctx.font = '14px Inter, Arial';
-    this.ctx.fillText('Total', centerX, centerY + 30);
+    this.drawGrid(xScale, area, 'x');
+    this.drawGrid(yScale, area);
+    this.drawAxisTitles(area);
+    
+    series.forEach(dataset => {
+      dataset.data.forEach((point, i) => {
+        const x = Number(point.x);
+        const y = Number(point.y);
+        if (!Number.isFinite(x) || !Number.isFinite(y)) return;
+        
+        const index = dataset.indices[i];
+        const key = `${dataset.index}:${index}`;
+        const size = bubble
+          ? Math.max(2, Math.sqrt(Math.abs(Number(point.r) || 0) / maxR) * this.options.bubbleMaxRadius)
+          : this.options.pointRadius;
+        const radius = Math.max(0, this.tweenValue(`${key}:r`, size));
+        const px = xScale.map(this.tweenValue(`${key}:x`, x, false));
+        const py = yScale.map(this.tweenValue(`${key}:y`, y, false));
+        const color = point.color || dataset.color || this.getColor(index, this.options.pointColorMode);
+        
+        this.ctx.fillStyle = bubble ? this.withAlpha(color, 0.6) : color;
+        this.ctx.strokeStyle = color;
+        this.ctx.lineWidth = bubble ? 1.5 : 1;
+        this.ctx.beginPath();
+        this.ctx.arc(px, py, radius, 0, Math.PI * 2);
+        this.ctx.fill();
+        if (bubble) {
+          this.ctx.stroke();
+        }
+        
+        this.addHitRegion({
+          shape: 'circle', x: px, y: py, radius,
+          label: point.label || `(${x}, ${y})`,
+          value: bubble ? point.r : y,
+          series: this.usesSeriesLegend() ? dataset.name : undefined,
+          index, item: point
+        });
+      });
+    });
   }
   
-  drawRadar() {
+  // Scatter and bubble data can be split into named series either through
+  // `datasets` or by a `groupBy` key on each point.
+  getPointSeries() {
+    const key = this.options.groupBy;
+    if (this.isMultiSeries() || !key) {
+      return this.getDatasets();
+    }
+    
+    return this.getPointGroups()
+      .map((group, i) => ({ ...group, color: this.getColor(i), index: i }))
+      .filter(group => !this.hiddenSeries.has(group.index));
+  }
+  
+  getPointGroups() {
+    const key = this.options.groupBy;
+    const groups = new Map();
+    (this.options.data || []).forEach((point, i) => {
+      const name = point[key] !== undefined && point[key] !== null ? String(point[key]) : this.getString('other');
+      if (!groups.has(name)) {
+        groups.set(name, { name, data: [], indices: [] });
+      }
+      groups.get(name).data.push(point);
+      groups.get(name).indices.push(i);
+    });
+    return [...groups.values()];
+  }
+  
+  usesSeriesLegend() {
+    return this.isMultiSeries() ||
+      (Boolean(this.options.groupBy) && ['scatter', 'bubble'].includes(this.options.type));
+  }
+  
+  drawTreemap() {
+    const current = this.getTreemapNode();
+    const top = this.options.title ? 50 : 20;
+    const bounds = { x: 20, y: top, width: this.width - 40, height: this.height - top - 20 };
+    const children = (current.children || [])
+      .map((node, i) => ({ node, index: i, value: this.getTreemapValue(node) }))
+      .filter(entry => entry.value > 0)
+      .sort((a, b) => b.value - a.value);
+    const depth = this.treemapPath.length;
+    const pathKey = this.treemapPath.map(node => node.label).join('/');
+    
+    this.squarify(children, bounds).forEach(cell => {
+      const { node, index } = cell.entry;
+      const color = depth === 0
+        ? this.getColor(index)
+        : this.adjustBrightness(this.getColor(this.getTreemapGroupIndex()), 1 - (index % 5) * 0.12);
+      const grow = this.tweenValue(`treemap:${pathKey}:${index}`, 1);
+      const width = Math.max(0, cell.width - 2) * grow;
+      const height = Math.max(0, cell.height - 2) * grow;
+      const x = cell.x + 1 + (cell.width - 2 - width) / 2;
+      const y = cell.y + 1 + (cell.height - 2 - height) / 2;
+      
+      this.ctx.fillStyle = node.color || color;
+      this.drawRoundedRect(x, y, width, height, this.getRadius());
+      this.ctx.fill();
+      
+      this.addHitRegion({
+        shape: 'rect', x, y, width, height,
+        label: node.label, value: cell.entry.value,
+        series: depth === 0 ? undefined : this.treemapPath[0].label,
+        index, item: node,
+        drilldown: node.children && node.children.length ? node : null
+      });
+      
+      // Labels only where they fit
+      if (this.options.showLabels && width > 30 && height > 20) {
+        this.ctx.fillStyle = '#fff';
+        this.ctx.textAlign = 'left';
+        this.ctx.font = this.getFont(12, 'bold');
+        this.ctx.fillText(this.fitText(node.label || '', width - 12), x + 6, y + 17);
+        
+        if (height > 38) {
+          this.ctx.font = this.getFont(11);
+          this.ctx.fillText(this.fitText(this.formatValue(cell.entry.value, { kind: 'label', label: node.label }), width - 12), x + 6, y + 33);
+        }
+      }
+    });
+  }
+  
+  getTreemapRoot() {
     const data = this.options.data;
-    const centerX = this.canvas.width / 2;
-    const centerY = this.canvas.height / 2;
-    const radius = Math.min(centerX, centerY) - 80;
-    const numPoints = data.length;
-    const angleStep = (Math.PI * 2) / numPoints;
-    const maxValue = Math.max(...data.map(d => d.value || d));
+    if (Array.isArray(data)) {
+      return { label: this.options.title || this.getString('all'), children: data };
+    }
+    return data && typeof data === 'object' ? data : { label: this.getString('all'), children: [] };
+  }
+  
+  // Current drill-down node. The path is dropped as soon as it no longer
+  // matches the data, e.g. after loadData or updateOptions.
+  getTreemapNode() {
+    let node = this.getTreemapRoot();
+    for (let i = 0; i < this.treemapPath.length; i++) {
+      if (!(node.children || []).includes(this.treemapPath[i])) {
+        this.treemapPath = this.treemapPath.slice(0, i);
+        break;
+      }
+      node = this.treemapPath[i];
+    }
+    return node;
+  }
+  
+  getTreemapGroupIndex() {
+    const root = this.getTreemapRoot();
+    return Math.max(0, (root.children || []).indexOf(this.treemapPath[0]));
+  }
+  
+  getTreemapValue(node) {
+    if (node.children && node.children.length) {
+      return node.children.reduce((sum, child) => sum + this.getTreemapValue(child), 0);
+    }
+    return Math.max(0, this.getValue(node));
+  }
+  
+  // Squarified treemap layout (Bruls, Huizing & van Wijk). Entries must be
+  // sorted by descending value; returns one rectangle per entry.
+  squarify(entries, bounds) {
+    const total = entries.reduce((sum, entry) => sum + entry.value, 0);
+    if (!total || bounds.width <= 0 || bounds.height <= 0) return [];
     
-    for (let i = 1; i <= 5; i++) {
-      this.ctx.strokeStyle = this.options.gridColor;
-      this.ctx.beginPath();
-      this.ctx.arc(centerX, centerY, (radius / 5) * i, 0, Math.PI * 2);
-      this.ctx.stroke();
+    const scale = (bounds.width * bounds.height) / total;
+    const items = entries.map(entry => ({ entry, area: entry.value * scale }));
+    const rect = { ...bounds };
+    const cells = [];
+    
+    const worst = (row, length) => {
+      const sum = row.reduce((acc, item) => acc + item.area, 0);
+      const max = Math.max(...row.map(item => item.area));
+      const min = Math.min(...row.map(item => item.area));
+      return Math.max((length * length * max) / (sum * sum), (sum * sum) / (length * length * min));
+    };
+    
+    let i = 0;
+    while (i < items.length) {
+      const length = Math.min(rect.width, rect.height);
+      const row = [items[i++]];
+      while (i < items.length && worst([...row, items[i]], length) <= worst(row, length)) {
+        row.push(items[i++]);
+      }
+      
+      const sum = row.reduce((acc, item) => acc + item.area, 0);
+      if (rect.width >= rect.height) {
+        const columnWidth = sum / rect.height;
+        let y = rect.y;
+        row.forEach(item => {
+          const height = item.area / columnWidth;
+          cells.push({ entry: item.entry, x: rect.x, y, width: columnWidth, height });
+          y += height;
+        });
+        rect.x += columnWidth;
+        rect.width -= columnWidth;
+      } else {
+        const rowHeight = sum / rect.width;
+        let x = rect.x;
+        row.forEach(item => {
+          const width = item.area / rowHeight;
+          cells.push({ entry: item.entry, x, y: rect.y, width, height: rowHeight });
+          x += width;
+        });
+        rect.y += rowHeight;
+        rect.height -= rowHeight;
+      }
+    }
+    
+    return cells;
+  }
+  
+  fitText(text, maxWidth) {
+    if (this.ctx.measureText(text).width <= maxWidth) return text;
+    
+    let fitted = text;
+    while (fitted.length > 0 && this.ctx.measureText(`${fitted}\u2026`).width > maxWidth) {
+      fitted = fitted.slice(0, -1);
+    }
+    return fitted ? `${fitted}\u2026` : '';
+  }
+  
+  drillDown(node) {
+    this.treemapPath.push(node);
+    this.render();
+  }
+  
+  drillUp(depth = this.treemapPath.length - 1) {
+    this.treemapPath = this.treemapPath.slice(0, Math.max(0, depth));
+    this.render();
+  }
+  
+  updateBreadcrumb() {
+    if (this.options.type !== 'treemap' || this.treemapPath.length === 0) {
+      if (this.breadcrumbElement) {
+        this.breadcrumbElement.remove();
+      }
+      return;
     }
     
-    this.ctx.strokeStyle = this.options.gridColor;
-    data.forEach((item, i) => {
-      const angle = angleStep * i - Math.PI / 2;
-      const x = centerX + Math.cos(angle) * radius;
-      const y = centerY + Math.sin(angle) * radius;
-      
-      this.ctx.beginPath();
-      this.ctx.moveTo(centerX, centerY);
-      this.ctx.lineTo(x, y);
-      this.ctx.stroke();
+    if (!this.breadcrumbElement) {
+      this.breadcrumbElement = document.createElement('nav');
+      this.breadcrumbElement.className = 'vibechart-breadcrumb';
+      this.breadcrumbElement.setAttribute('aria-label', this.getString('treemapLevel'));
+      this.breadcrumbElement.addEventListener('click', (event) => {
+        const crumb = event.target.closest('[data-depth]');
+        if (crumb) this.drillUp(Number(crumb.dataset.depth));
+      });
+    }
+    
+    const crumbs = [this.getTreemapRoot(), ...this.treemapPath];
+    this.breadcrumbElement.style.color = this.options.textColor;
+    this.breadcrumbElement.innerHTML = crumbs.map((node, depth) => {
+      const label = this.escapeHtml(node.label || this.getString('all'));
+      return depth === crumbs.length - 1
+        ? `<span class="vibechart-breadcrumb-current">${label}</span>`
+        : `<button type="button" class="vibechart-breadcrumb-item" data-depth="${depth}">${label}</button><span class="vibechart-breadcrumb-separator">&rsaquo;</span>`;
+    }).join('');
+    
+    if (!this.container.contains(this.breadcrumbElement)) {
+      this.container.insertBefore(this.breadcrumbElement, this.canvas);
+    }
+  }
+  
+  // Lays out legend items for drawing into the context (exports). Items wrap
+  // into centered rows within maxWidth, or stack in a column when vertical.
+  layoutLegend(items, maxWidth, vertical = false) {
+    const swatch = 12;
+    const gap = 16;
+    const rowHeight = 20;
+    this.ctx.font = this.getFont(12);
+    
+    const entries = items.map(item => ({
+      item,
+      width: swatch + 6 + this.ctx.measureText(item.label).width
+    }));
+    
+    const rows = [];
+    entries.forEach(entry => {
+      const row = rows[rows.length - 1];
+      if (!vertical && row && row.width + gap + entry.width <= maxWidth) {
+        row.entries.push(entry);
+        row.width += gap + entry.width;
+      } else {
+        rows.push({ entries: [entry], width: entry.width });
+      }
+    });
+    
+    const width = Math.max(...rows.map(row => row.width));
+    const positions = [];
+    rows.forEach((row, rowIndex) => {
+      let x = vertical ? 0 : (width - row.width) / 2;
+      row.entries.forEach(entry => {
+        positions.push({ item: entry.item, x, y: rowIndex * rowHeight });
+        x += entry.width + gap;
+      });
+    });
+    
+    return { width, height: rows.length * rowHeight, positions };
+  }
+  
+  drawLegend(layout, offsetX, offsetY) {
+    this.ctx.save();
+    this.ctx.font = this.getFont(12);
+    this.ctx.textAlign = 'left';
+    
+    layout.positions.forEach(({ item, x, y }) => {
+      this.ctx.globalAlpha = item.hidden ? 0.4 : 1;
+      this.ctx.fillStyle = item.color;
+      this.drawRoundedRect(offsetX + x, offsetY + y + 2, 12, 12, 2);
+      this.ctx.fill();
       
-      const labelX = centerX + Math.cos(angle) * (radius + 20);
-      const labelY = centerY + Math.sin(angle) * (radius + 20);
       this.ctx.fillStyle = this.options.textColor;
-      this.ctx.textAlign = 'center';
-      this.ctx.font = '12px Inter, Arial';
-      this.ctx.fillText(item.label || `Axis ${i + 1}`, labelX, labelY);
+      this.ctx.fillText(item.label, offsetX + x + 18, offsetY + y + 12);
     });
     
-    this.ctx.fillStyle = this.getColor(0) + '60';
-    this.ctx.strokeStyle = this.getColor(0);
-    this.ctx.lineWidth = 2;
-    this.ctx.beginPath();
+    this.ctx.restore();
+  }
+  
+  // Size of an exported image: the plot plus room for the legend on the
+  // side given by legendPosition
+  getSnapshotLayout() {
+    const items = this.options.showLegend ? this.getLegendItems() : [];
+    const position = this.options.legendPosition;
+    const vertical = position === 'left' || position === 'right';
+    const margin = 20;
+    const layout = { width: this.width, height: this.height, plotX: 0, plotY: 0, legend: null };
     
-    data.forEach((item, i) => {
-      const value = item.value || item;
-      const angle = angleStep * i - Math.PI / 2;
-      const distance = (value / maxValue) * radius;
-      const x = centerX + Math.cos(angle) * distance;
-      const y = centerY + Math.sin(angle) * distance;
-      
-      if (i === 0) {
-        this.ctx.moveTo(x, y);
-      } else {
-        this.ctx.lineTo(x, y);
-      }
-    });
+    if (items.length === 0) {
+      return layout;
+    }
     
-    this.ctx.closePath();
-    this.ctx.fill();
-    this.ctx.stroke();
+    const legend = this.layoutLegend(items, this.width - margin * 2, vertical);
+    layout.legend = legend;
+    if (vertical) {
+      layout.width += legend.width + margin * 2;
+      layout.plotX = position === 'left' ? legend.width + margin * 2 : 0;
+      layout.legendX = position === 'left' ? margin : this.width + margin;
+      layout.legendY = Math.max(margin, (this.height - legend.height) / 2);
+      layout.height = Math.max(this.height, legend.height + margin * 2);
+    } else {
+      layout.height += legend.height + margin;
+      layout.plotY = position === 'top' ? legend.height + margin : 0;
+      layout.legendX = (this.width - legend.width) / 2;
+      layout.legendY = position === 'top' ? margin / 2 : this.height + margin / 2;
+    }
+    return layout;
   }
   
-  drawGauge() {
-    const value = this.options.data.value || this.options.data[0]?.value || 75;
-    const max = this.options.data.max || 100;
-    const centerX = this.canvas.width / 2;
-    const centerY = this.canvas.height / 2 + 40;
-    const radius = Math.min(centerX, centerY) - 60;
+  // Paints the background, chart and legend into another context at their
+  // final (non-animated) state, leaving the on-screen chart untouched
+  drawSnapshot(ctx, layout, background = this.getContainerBackground()) {
+    const saved = {
+      ctx: this.ctx,
+      animationState: this.animationState,
+      displayedValues: this.displayedValues,
+      hitRegions: this.hitRegions
+    };
     
-    this.ctx.strokeStyle = this.options.gridColor;
-    this.ctx.lineWidth = 20;
+    this.ctx = ctx;
+    this.animationState = { progress: 1, previous: null, phase: 'enter' };
+    this.displayedValues = new Map();
+    try {
+      this.fillBackground(background, layout.width, layout.height);
+      this.ctx.save();
+      this.ctx.translate(layout.plotX, layout.plotY);
+      this.drawChart();
+      this.ctx.restore();
+      if (layout.legend) {
+        this.drawLegend(layout.legend, layout.legendX, layout.legendY);
+      }
+    } finally {
+      Object.assign(this, saved);
+    }
+  }
+  
+  fillBackground(background, width, height) {
+    if (!background || background === 'transparent') return;
+    
+    this.ctx.save();
+    this.ctx.fillStyle = background.includes('linear-gradient')
+      ? this.createCssGradient(background, width, height)
+      : background;
     this.ctx.beginPath();
-    this.ctx.arc(centerX, centerY, radius, Math.PI, Math.PI * 2);
-    this.ctx.stroke();
+    this.ctx.rect(0, 0, width, height);
+    this.ctx.fill();
+    this.ctx.restore();
+  }
+  
+  // Converts a CSS linear-gradient() (as used by the gradient theme) into a
+  // context gradient covering a width x height box
+  createCssGradient(css, width, height) {
+    const match = /linear-gradient\((.*)\)/i.exec(css);
+    const parts = this.splitList(match ? match[1] : '');
     
-    const angle = Math.PI + (value / max) * Math.PI;
-    const gradient = this.ctx.createLinearGradient(centerX - radius, centerY, centerX + radius, centerY);
-    gradient.addColorStop(0, this.options.colors[0]);
-    gradient.addColorStop(1, this.options.colors[1] || this.options.colors[0]);
+    const directions = { top: 0, right: 90, bottom: 180, left: 270 };
+    let angle = 180;
+    if (/^-?[\d.]+deg$/.test(parts[0])) {
+      angle = parseFloat(parts.shift());
+    } else if (/^to\s/.test(parts[0])) {
+      const sides = parts.shift().slice(3).trim().split(/\s+/).map(side => directions[side]);
+      angle = sides.length === 2
+        ? (sides.includes(0) && sides.includes(270) ? 315 : (sides[0] + sides[1]) / 2)
+        : sides[0];
+    }
     
-    this.ctx.strokeStyle = gradient;
-    this.ctx.lineWidth = 20;
-    this.ctx.lineCap = 'round';
-    this.ctx.beginPath();
-    this.ctx.arc(centerX, centerY, radius, Math.PI, angle);
-    this.ctx.stroke();
+    // CSS angles start at "to top" and run clockwise
+    const radians = (angle * Math.PI) / 180;
+    const dx = Math.sin(radians);
+    const dy = -Math.cos(radians);
+    const half = (Math.abs(width * dx) + Math.abs(height * dy)) / 2;
+    const gradient = this.ctx.createLinearGradient(
+      width / 2 - dx * half, height / 2 - dy * half,
+      width / 2 + dx * half, height / 2 + dy * half
+    );
     
-    this.ctx.fillStyle = this.options.textColor;
-    this.ctx.font = 'bold 48px Inter, Arial';
-    this.ctx.textAlign = 'center';
-    this.ctx.fillText(value, centerX, centerY + 15);
-    this.ctx.font = '16px Inter, Arial';
-    this.ctx.fillText(`/ ${max}`, centerX, centerY + 40);
+    parts.forEach((part, i) => {
+      const stop = /^(.*?)(?:\s+(-?[\d.]+)%)?$/.exec(part);
+      const offset = stop[2] !== undefined ? parseFloat(stop[2]) / 100 : i / Math.max(1, parts.length - 1);
+      gradient.addColorStop(Math.min(1, Math.max(0, offset)), stop[1]);
+    });
+    return gradient;
   }
   
-  drawHeatmap() {
-    const data = this.options.data;
-    const padding = 60;
-    const rows = data.length;
-    const cols = data[0]?.values?.length || 0;
-    const cellWidth = (this.canvas.width - padding * 2) / cols;
-    const cellHeight = (this.canvas.height - padding * 2) / rows;
+  // Standalone SVG document of the chart including its title and legend
+  toSVG() {
+    const layout = this.getSnapshotLayout();
+    const ctx = new VibeChartsSVGContext(layout.width, layout.height);
+    this.drawSnapshot(ctx, layout);
+    return ctx.toString();
+  }
+  
+  // Raster export at `scale` times the CSS size. Resolves to a Blob, or a data
+  // URL with output: 'dataURL'. `background` defaults to the container's.
+  toImage({ format = 'png', scale = window.devicePixelRatio || 1, background, quality = 0.92, output = 'blob' } = {}) {
+    const type = format === 'jpeg' || format === 'jpg' ? 'image/jpeg' : 'image/png';
+    const layout = this.getSnapshotLayout();
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(layout.width * scale);
+    canvas.height = Math.round(layout.height * scale);
     
-    const allValues = data.flatMap(row => row.values || []);
-    const maxValue = Math.max(...allValues);
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(scale, 0, 0, scale, 0, 0);
+    if (type === 'image/jpeg') {
+      // JPEG has no alpha channel, so translucent backgrounds sit on white
+      ctx.fillStyle = '#ffffff';
+      ctx.fillRect(0, 0, layout.width, layout.height);
+    }
+    this.drawSnapshot(ctx, layout, background === undefined ? this.getContainerBackground() : background);
     
-    data.forEach((row, i) => {
-      const values = row.values || [];
-      values.forEach((value, j) => {
-        const intensity = value / maxValue;
-        const color = this.interpolateColor(this.options.colors[0], this.options.colors[1] || '#ff0000', intensity);
-        
-        this.ctx.fillStyle = color;
-        const x = padding + j * cellWidth;
-        const y = padding + i * cellHeight;
-        
-        this.drawRoundedRect(x + 2, y + 2, cellWidth - 4, cellHeight - 4, this.getRadius());
-        this.ctx.fill();
-        
-        this.ctx.fillStyle = intensity > 0.5 ? '#fff' : '#000';
-        this.ctx.font = '12px Inter, Arial';
-        this.ctx.textAlign = 'center';
-        this.ctx.fillText(value, x + cellWidth / 2, y + cellHeight / 2 + 4);
-      });
+    if (output === 'dataURL') {
+      return Promise.resolve(canvas.toDataURL(type, quality));
+    }
+    return new Promise((resolve, reject) => {
+      canvas.toBlob(blob => {
+        if (blob) {
+          resolve(blob);
+        } else {
+          reject(new Error('Chart image could not be encoded'));
+        }
+      }, type, quality);
     });
   }
   
-  drawWaterfall() {
-    const data = this.options.data;
-    const padding = 60;
-    const chartWidth = this.canvas.width - padding * 2;
-    const chartHeight = this.canvas.height - padding * 2;
-    const barWidth = chartWidth / data.length - 10;
+  // Saves the chart as PNG, JPEG or SVG depending on the file extension
+  download(filename = 'chart.png') {
+    const extension = (/\.(\w+)$/.exec(filename) || [])[1];
+    const format = (extension || 'png').toLowerCase();
+    const image = format === 'svg'
+      ? Promise.resolve(new Blob([this.toSVG()], { type: 'image/svg+xml' }))
+      : this.toImage({ format });
     
-    const values = data.map(d => d.value || d);
-    const cumulative = values.reduce((acc, val, i) => {
-      acc.push(i === 0 ? val : acc[i - 1] + val);
-      return acc;
-    }, []);
-    const maxValue = Math.max(...cumulative);
-    const minValue = Math.min(...cumulative, 0);
-    const range = maxValue - minValue;
+    return image.then(blob => {
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      setTimeout(() => URL.revokeObjectURL(url), 0);
+    });
+  }
+  
+  // The background actually shown behind the chart, which theme and style
+  // classes may set in CSS rather than through options.backgroundColor
+  getContainerBackground() {
+    const style = window.getComputedStyle(this.container);
+    if (style.backgroundImage && style.backgroundImage.includes('linear-gradient')) {
+      return style.backgroundImage;
+    }
+    const color = style.backgroundColor;
+    if (!color || color === 'transparent' || color === 'rgba(0, 0, 0, 0)') {
+      return this.options.backgroundColor;
+    }
+    return color;
+  }
+  
+  // Series-level legend for multi-series charts, item-level legend for
+  // charts that color each data item (pie, donut, single-series bars).
+  getLegendItems() {
+    if (this.options.groupBy && this.usesSeriesLegend() && !this.isMultiSeries()) {
+      return this.getPointGroups().map((group, i) => ({
+        label: group.name,
+        color: this.getColor(i),
+        index: i,
+        hidden: this.hiddenSeries.has(i)
+      }));
+    }
     
-    this.drawGrid();
+    if (this.isMultiSeries()) {
+      return this.options.datasets.map((dataset, i) => ({
+        label: dataset.name || this.getString('series', { index: i + 1 }),
+        color: dataset.color || this.getColor(i),
+        index: i,
+        hidden: this.hiddenSeries.has(i)
+      }));
+    }
     
-    data.forEach((item, i) => {
-      const value = item.value || item;
-      const prevCumulative = i === 0 ? 0 : cumulative[i - 1];
-      const currentCumulative = cumulative[i];
-      
-      const barHeight = Math.abs(value / range) * chartHeight;
-      const x = padding + i * (barWidth + 10);
-      const y = this.canvas.height - padding - ((currentCumulative - minValue) / range) * chartHeight;
-      
-      const color = value >= 0 ? this.options.colors[2] || '#43e97b' : this.options.colors[3] || '#f5576c';
-      this.ctx.fillStyle = color;
-      
-      this.drawRoundedRect(x, y, barWidth, barHeight, this.getRadius());
-      this.ctx.fill();
-      
-      if (i > 0) {
-        this.ctx.strokeStyle = this.options.gridColor;
-        this.ctx.setLineDash([5, 3]);
-        this.ctx.beginPath();
-        const prevX = padding + (i - 1) * (barWidth + 10) + barWidth;
-        const prevY = this.canvas.height - padding - ((prevCumulative - minValue) / range) * chartHeight;
-        this.ctx.moveTo(prevX, prevY);
-        this.ctx.lineTo(x, y + (value >= 0 ? barHeight : 0));
-        this.ctx.stroke();
-        this.ctx.setLineDash([]);
-      }
-      
-      this.ctx.fillStyle = this.options.textColor;
-      this.ctx.font = '12px Inter, Arial';
-      this.ctx.textAlign = 'center';
-      const label = item.label || `Item ${i + 1}`;
-      this.ctx.fillText(label, x + barWidth / 2, this.canvas.height - padding + 20);
+    const itemTypes = ['bar', 'horizontalBar', 'pie', 'donut', 'polar'];
+    if (!itemTypes.includes(this.options.type) || !Array.isArray(this.options.data)) {
+      return [];
+    }
+    
+    const mode = ['bar', 'horizontalBar'].includes(this.options.type) ? this.options.barColorMode : 'series';
+    return this.options.data.map((item, i) => ({
+      label: item.label || this.getString('item', { index: i + 1 }),
+      color: this.getColor(i, mode),
+      index: i,
+      hidden: this.hiddenItems.has(i)
+    }));
+  }
+  
+  drawExternalLegend() {
+    const items = this.getLegendItems();
+    if (items.length === 0) {
+      this.removeLegend();
+      return;
+    }
+    
+    const position = ['top', 'bottom', 'left', 'right'].includes(this.options.legendPosition)
+      ? this.options.legendPosition
+      : 'bottom';
+    
+    if (!this.legendElement || !this.container.contains(this.legendElement)) {
+      this.legendElement = document.createElement('div');
+      this.legendElement.addEventListener('click', (event) => {
+        const item = event.target.closest('.vibechart-legend-item');
+        if (item) this.toggleLegendItem(Number(item.dataset.index));
+      });
+      this.legendElement.addEventListener('keydown', (event) => {
+        const item = event.target.closest('.vibechart-legend-item');
+        if (item && (event.key === 'Enter' || event.key === ' ')) {
+          event.preventDefault();
+          this.toggleLegendItem(Number(item.dataset.index));
+        }
+      });
+    }
+    
+    this.legendElement.className = `vibechart-legend vibechart-legend-external vibechart-legend-${position}`;
+    this.legendElement.style.color = this.userOptions.textColor || this.theme.legend.color;
+    this.legendElement.style.background = this.theme.legend.background;
+    this.legendElement.style.fontFamily = this.options.fontFamily;
+    // Rebuilding the items drops keyboard focus; it is restored below
+    const focused = this.legendElement.contains(document.activeElement)
+      ? document.activeElement.closest('.vibechart-legend-item')
+      : null;
+    this.legendElement.innerHTML = items.map(item => `
+      <div class="vibechart-legend-item${item.hidden ? ' is-hidden' : ''}" data-index="${item.index}" role="button" tabindex="0" aria-pressed="${!item.hidden}">
+        <span class="vibechart-legend-color" style="background: ${this.escapeHtml(item.color)}"></span>
+        <span class="vibechart-legend-label">${this.escapeHtml(item.label)}</span>
+      </div>
+    `).join('');
+    
+    ['top', 'bottom', 'left', 'right'].forEach(side => {
+      this.container.classList.toggle(`vibechart-has-legend-${side}`, side === position);
     });
+    
+    if (position === 'top' || position === 'left') {
+      this.container.insertBefore(this.legendElement, this.canvas);
+    } else if (this.legendElement.previousSibling !== this.canvas) {
+      this.canvas.after(this.legendElement);
+    }
+    
+    if (focused) {
+      const item = this.legendElement.querySelector(`.vibechart-legend-item[data-index="${focused.dataset.index}"]`);
+      if (item) item.focus();
+    }
   }
   
-  drawScatter() { }
-  drawBubble() { }
-  drawPolar() { }
-  drawTreemap() { }
+  removeLegend() {
+    if (this.legendElement) {
+      this.legendElement.remove();
+    }
+    ['top', 'bottom', 'left', 'right'].forEach(side => {
+      this.container.classList.remove(`vibechart-has-legend-${side}`);
+    });
+  }
   
-  drawLegend() {
-    const legendX = this.canvas.width - 150;
-    const legendY = 60;
-    const data = this.options.data;
+  toggleLegendItem(index) {
+    const hidden = this.usesSeriesLegend() ? this.hiddenSeries : this.hiddenItems;
+    if (hidden.has(index)) {
+      hidden.delete(index);
+    } else {
+      hidden.add(index);
+    }
     
-    data.forEach((item, i) => {
-      const y = legendY + i * 25;
-      
-      this.ctx.fillStyle = this.getColor(i);
-      this.drawRoundedRect(legendX, y, 15, 15, 2);
-      this.ctx.fill();
-      
-      this.ctx.fillStyle = this.options.textColor;
-      this.ctx.font = '12px Inter, Arial';
-      this.ctx.textAlign = 'left';
-      const label = item.label || `Series ${i + 1}`;
-      this.ctx.fillText(label, legendX + 25, y + 12);
-    });
+    const item = this.getLegendItems().find(entry => entry.index === index);
+    this.emit('legendclick', { index, label: item ? item.label : null, hidden: hidden.has(index) });
+    this.render();
   }
   
   interpolateColor(color1, color2, factor) {
-    const c1 = this.hexToRgb(color1);
-    const c2 = this.hexToRgb(color2);
+    const c1 = this.parseColor(color1);
+    const c2 = this.parseColor(color2);
+    if (!c1 || !c2) return factor < 0.5 ? color1 : color2;
     const r = Math.round(c1.r + (c2.r - c1.r) * factor);
     const g = Math.round(c1.g + (c2.g - c1.g) * factor);
     const b = Math.round(c1.b + (c2.b - c1.b) * factor);
@@ -796,20 +4443,497 @@ class VibeCharts {
   
   updateOptions(newOptions) {
     this.options = { ...this.options, ...newOptions };
+    this.userOptions = { ...this.userOptions, ...newOptions };
+    this.seriesCache.clear();
+    this.dataVersion += 1;
     this.init();
   }
   
   destroy() {
+    this.emit('destroy', {});
+    this.callPlugins('destroy');
+    clearTimeout(this.initTimer);
+    clearTimeout(this.loadTimer);
     if (this.animationFrame) {
       cancelAnimationFrame(this.animationFrame);
     }
+    if (this.pendingRender) {
+      cancelAnimationFrame(this.pendingRender);
+    }
+    this.disconnect();
+    if (this.loadController) {
+      this.loadController.abort();
+      this.loadController = null;
+    }
     if (this.resizeObserver) {
       this.resizeObserver.disconnect();
     }
+    if (this.handleResize) {
+      window.removeEventListener('resize', this.handleResize);
+    }
+    if (this.pixelRatioQuery) {
+      this.pixelRatioQuery.query.removeEventListener('change', this.pixelRatioQuery.handleChange);
+    }
+    if (this.colorSchemeQuery) {
+      this.colorSchemeQuery.query.removeEventListener('change', this.colorSchemeQuery.handleChange);
+    }
+    this.container.removeEventListener('keydown', this.handleKeydown);
+    this.container.removeEventListener('blur', this.handleBlur);
+    ['role', 'aria-label', 'aria-describedby', 'aria-busy'].forEach(name => this.container.removeAttribute(name));
+    if (this.addedTabIndex) {
+      this.container.removeAttribute('tabindex');
+    }
     this.container.innerHTML = '';
+    this.eventHandlers.clear();
+  }
+  
+  // Adds a chart type usable as `type: name`. `draw(chart)` runs with the
+  // chart as `this` after the title is drawn; it paints through chart.ctx and
+  // registers hit regions with chart.addHitRegion() for tooltips and events.
+  // `label` names the type for screen readers.
+  static registerType(name, draw, { label } = {}) {
+    if (typeof draw !== 'function') {
+      throw new Error(`Chart type "${name}" needs a draw function`);
+    }
+    
+    VibeCharts.chartTypes[name] = draw;
+    if (label) {
+      VibeCharts.strings.types[name] = label;
+    }
+  }
+  
+  // Installs a plugin for every chart created afterwards. Plugins are plain
+  // objects with optional hooks, each called with the chart first:
+  // init, layout(chart, area) => area, beforeDraw / afterDraw(chart, ctx),
+  // event(chart, name, detail) and destroy. `install(VibeCharts)` runs once.
+  static use(plugin) {
+    if (!VibeCharts.plugins.includes(plugin)) {
+      VibeCharts.plugins.push(plugin);
+      if (typeof plugin.install === 'function') {
+        plugin.install(VibeCharts);
+      }
+    }
+    return VibeCharts;
+  }
+  
+  // Adds a theme usable as `theme: name`. `extends` names a registered theme
+  // to start from; missing keys fall back to VibeCharts.themes.base.
+  static registerTheme(name, definition) {
+    if (!name || name === 'auto' || name === 'base') {
+      throw new Error(`Invalid theme name "${name}"`);
+    }
+    
+    const { extends: parent, ...theme } = definition;
+    const inherited = parent ? VibeCharts.themes[parent] : null;
+    if (parent && !inherited) {
+      throw new Error(`Theme "${parent}" is not registered`);
+    }
+    
+    const merged = { ...inherited, ...theme };
+    if (inherited) {
+      ['tooltip', 'legend'].forEach(key => {
+        merged[key] = { ...inherited[key], ...theme[key] };
+      });
+    }
+    VibeCharts.themes[name] = merged;
+    return VibeCharts.themes[name];
+  }
+}
+
+// Records Canvas2D calls as SVG elements so the draw methods can target
+// either backend through `this.ctx`. Covers the subset of the API VibeCharts uses.
+class VibeChartsSVGContext {
+  constructor(width = 300, height = 150) {
+    this.width = width;
+    this.height = height;
+    // Keeps gradient and clip ids unique when several SVGs share a page
+    VibeChartsSVGContext.instanceCount = (VibeChartsSVGContext.instanceCount || 0) + 1;
+    this.documentId = VibeChartsSVGContext.instanceCount;
+    this.reset();
+  }
+  
+  reset() {
+    this.stateStack = [];
+    this.elements = [];
+    this.defs = [];
+    this.idCounter = 0;
+    this.path = [];
+    this.hasCurrentPoint = false;
+    this.fillStyle = '#000000';
+    this.strokeStyle = '#000000';
+    this.lineWidth = 1;
+    this.lineCap = 'butt';
+    this.lineJoin = 'miter';
+    this.font = '10px sans-serif';
+    this.textAlign = 'start';
+    this.textBaseline = 'alphabetic';
+    this.globalAlpha = 1;
+    this.lineDash = [];
+    this.matrix = [1, 0, 0, 1, 0, 0];
+    this.clipId = null;
+  }
+  
+  resize(width, height) {
+    this.width = width;
+    this.height = height;
+    this.reset();
+  }
+  
+  save() {
+    this.stateStack.push({
+      fillStyle: this.fillStyle,
+      strokeStyle: this.strokeStyle,
+      lineWidth: this.lineWidth,
+      lineCap: this.lineCap,
+      lineJoin: this.lineJoin,
+      font: this.font,
+      textAlign: this.textAlign,
+      textBaseline: this.textBaseline,
+      globalAlpha: this.globalAlpha,
+      lineDash: this.lineDash,
+      matrix: this.matrix.slice(),
+      clipId: this.clipId
+    });
+  }
+  
+  restore() {
+    const state = this.stateStack.pop();
+    if (state) Object.assign(this, state);
+  }
+  
+  setTransform(a, b, c, d, e, f) {
+    this.matrix = [a, b, c, d, e, f];
+  }
+  
+  transform(a, b, c, d, e, f) {
+    const [ma, mb, mc, md, me, mf] = this.matrix;
+    this.matrix = [
+      ma * a + mc * b,
+      mb * a + md * b,
+      ma * c + mc * d,
+      mb * c + md * d,
+      ma * e + mc * f + me,
+      mb * e + md * f + mf
+    ];
+  }
+  
+  translate(x, y) {
+    this.transform(1, 0, 0, 1, x, y);
+  }
+  
+  rotate(angle) {
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    this.transform(cos, sin, -sin, cos, 0, 0);
+  }
+  
+  scale(x, y) {
+    this.transform(x, 0, 0, y, 0, 0);
+  }
+  
+  setLineDash(segments) {
+    this.lineDash = segments.slice();
+  }
+  
+  getLineDash() {
+    return this.lineDash.slice();
+  }
+  
+  createLinearGradient(x0, y0, x1, y1) {
+    const gradient = { x0, y0, x1, y1, stops: [] };
+    gradient.addColorStop = (offset, color) => gradient.stops.push({ offset, color });
+    return gradient;
+  }
+  
+  beginPath() {
+    this.path = [];
+    this.hasCurrentPoint = false;
+  }
+  
+  moveTo(x, y) {
+    this.path.push(`M${this.num(x)} ${this.num(y)}`);
+    this.hasCurrentPoint = true;
+  }
+  
+  lineTo(x, y) {
+    this.path.push(`${this.hasCurrentPoint ? 'L' : 'M'}${this.num(x)} ${this.num(y)}`);
+    this.hasCurrentPoint = true;
+  }
+  
+  quadraticCurveTo(cpx, cpy, x, y) {
+    if (!this.hasCurrentPoint) this.moveTo(cpx, cpy);
+    this.path.push(`Q${this.num(cpx)} ${this.num(cpy)} ${this.num(x)} ${this.num(y)}`);
+  }
+  
+  bezierCurveTo(cp1x, cp1y, cp2x, cp2y, x, y) {
+    if (!this.hasCurrentPoint) this.moveTo(cp1x, cp1y);
+    this.path.push(`C${this.num(cp1x)} ${this.num(cp1y)} ${this.num(cp2x)} ${this.num(cp2y)} ${this.num(x)} ${this.num(y)}`);
+  }
+  
+  arc(x, y, radius, startAngle, endAngle, counterclockwise = false) {
+    const fullTurn = Math.PI * 2;
+    let sweep = endAngle - startAngle;
+    const fullCircle = counterclockwise ? -sweep >= fullTurn : sweep >= fullTurn;
+    if (!fullCircle) {
+      sweep = ((sweep % fullTurn) + fullTurn) % fullTurn;
+      if (counterclockwise && sweep > 0) sweep -= fullTurn;
+    }
+    
+    const point = angle => `${this.num(x + Math.cos(angle) * radius)} ${this.num(y + Math.sin(angle) * radius)}`;
+    this.lineTo(x + Math.cos(startAngle) * radius, y + Math.sin(startAngle) * radius);
+    if (radius <= 0) return;
+    
+    const r = this.num(radius);
+    const flag = counterclockwise ? 0 : 1;
+    if (fullCircle) {
+      // A single SVG arc cannot describe a full circle
+      this.path.push(`A${r} ${r} 0 1 ${flag} ${point(startAngle + Math.PI)}`);
+      this.path.push(`A${r} ${r} 0 1 ${flag} ${point(startAngle)}`);
+    } else if (sweep !== 0) {
+      this.path.push(`A${r} ${r} 0 ${Math.abs(sweep) > Math.PI ? 1 : 0} ${flag} ${point(startAngle + sweep)}`);
+    }
+  }
+  
+  rect(x, y, width, height) {
+    this.moveTo(x, y);
+    this.path.push(`L${this.num(x + width)} ${this.num(y)}`);
+    this.path.push(`L${this.num(x + width)} ${this.num(y + height)}`);
+    this.path.push(`L${this.num(x)} ${this.num(y + height)}Z`);
+  }
+  
+  closePath() {
+    if (this.path.length > 0) this.path.push('Z');
+  }
+  
+  fill() {
+    if (this.path.length === 0) return;
+    this.addElement(`<path d="${this.path.join('')}"${this.paintAttributes('fill')}/>`);
+  }
+  
+  stroke() {
+    if (this.path.length === 0) return;
+    this.addElement(`<path d="${this.path.join('')}" fill="none"${this.paintAttributes('stroke')}/>`);
+  }
+  
+  fillRect(x, y, width, height) {
+    const path = this.path;
+    this.beginPath();
+    this.rect(x, y, width, height);
+    this.fill();
+    this.path = path;
+  }
+  
+  strokeRect(x, y, width, height) {
+    const path = this.path;
+    this.beginPath();
+    this.rect(x, y, width, height);
+    this.stroke();
+    this.path = path;
+  }
+  
+  // Only whole-surface clears are meaningful for a retained scene
+  clearRect() {
+    this.elements = [];
+    this.defs = [];
+  }
+  
+  clip() {
+    const id = this.nextId('clip');
+    const transform = this.transformAttribute();
+    const parent = this.clipId ? ` clip-path="url(#${this.clipId})"` : '';
+    this.defs.push(`<clipPath id="${id}"${parent}><path d="${this.path.join('')}"${transform}/></clipPath>`);
+    this.clipId = id;
+  }
+  
+  fillText(text, x, y) {
+    const anchors = { left: 'start', start: 'start', center: 'middle', right: 'end', end: 'end' };
+    const baselines = { top: 'hanging', hanging: 'hanging', middle: 'central', bottom: 'text-after-edge', ideographic: 'ideographic' };
+    const baseline = baselines[this.textBaseline] ? ` dominant-baseline="${baselines[this.textBaseline]}"` : '';
+    this.addElement(
+      `<text x="${this.num(x)}" y="${this.num(y)}" text-anchor="${anchors[this.textAlign] || 'start'}"${baseline}` +
+      ` style="font: ${this.escape(this.font)}"${this.paintAttributes('fill')}>${this.escape(text)}</text>`
+    );
+  }
+  
+  // Shared off-screen 2D context for text metrics and color parsing, or null
+  // without a DOM
+  static getScratchContext() {
+    if (VibeChartsSVGContext.measureContext === undefined) {
+      const canvas = typeof document !== 'undefined' ? document.createElement('canvas') : null;
+      VibeChartsSVGContext.measureContext = canvas && canvas.getContext ? canvas.getContext('2d') : null;
+    }
+    return VibeChartsSVGContext.measureContext;
+  }
+  
+  measureText(text) {
+    const measure = VibeChartsSVGContext.getScratchContext();
+    if (measure) {
+      measure.font = this.font;
+      return measure.measureText(text);
+    }
+    // Rough average glyph width when no canvas is available
+    const size = parseFloat((/(\d+(?:\.\d+)?)px/.exec(this.font) || [])[1]) || 10;
+    return { width: String(text).length * size * 0.55 };
+  }
+  
+  paintAttributes(mode) {
+    const style = mode === 'fill' ? this.fillStyle : this.strokeStyle;
+    let attributes = ` ${mode}="${this.paint(style)}"`;
+    
+    if (mode === 'stroke') {
+      attributes += ` stroke-width="${this.num(this.lineWidth)}"`;
+      if (this.lineCap !== 'butt') attributes += ` stroke-linecap="${this.lineCap}"`;
+      if (this.lineJoin !== 'miter') attributes += ` stroke-linejoin="${this.lineJoin}"`;
+      if (this.lineDash.length > 0) attributes += ` stroke-dasharray="${this.lineDash.join(' ')}"`;
+    }
+    if (this.globalAlpha < 1) attributes += ` opacity="${this.num(this.globalAlpha)}"`;
+    return attributes + this.transformAttribute();
+  }
+  
+  // Clipping is applied by an untransformed group so the clip path stays in
+  // the coordinate space it was defined in
+  addElement(markup) {
+    this.elements.push(this.clipId ? `<g clip-path="url(#${this.clipId})">${markup}</g>` : markup);
+  }
+  
+  paint(style) {
+    if (!style || typeof style !== 'object') {
+      return this.escape(style || 'none');
+    }
+    
+    const id = this.nextId('gradient');
+    const stops = style.stops.map(stop =>
+      `<stop offset="${this.num(stop.offset)}" stop-color="${this.escape(stop.color)}"/>`
+    ).join('');
+    this.defs.push(
+      `<linearGradient id="${id}" gradientUnits="userSpaceOnUse" x1="${this.num(style.x0)}" y1="${this.num(style.y0)}"` +
+      ` x2="${this.num(style.x1)}" y2="${this.num(style.y1)}">${stops}</linearGradient>`
+    );
+    return `url(#${id})`;
+  }
+  
+  transformAttribute() {
+    const [a, b, c, d, e, f] = this.matrix;
+    if (a === 1 && b === 0 && c === 0 && d === 1 && e === 0 && f === 0) return '';
+    return ` transform="matrix(${[a, b, c, d, e, f].map(value => this.num(value)).join(' ')})"`;
+  }
+  
+  nextId(prefix) {
+    this.idCounter += 1;
+    return `vc-${prefix}-${this.documentId}-${this.idCounter}`;
+  }
+  
+  num(value) {
+    return Math.round(value * 100) / 100;
+  }
+  
+  escape(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+  
+  toString() {
+    const defs = this.defs.length > 0 ? `<defs>${this.defs.join('')}</defs>` : '';
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${this.num(this.width)}" height="${this.num(this.height)}"` +
+      ` viewBox="0 0 ${this.num(this.width)} ${this.num(this.height)}">${defs}${this.elements.join('')}</svg>`;
   }
 }
 
+// Draw functions by chart type; extend with VibeCharts.registerType()
+VibeCharts.chartTypes = {
+  bar: chart => (chart.isCombo() ? chart.drawCombo() : chart.drawBar()),
+  horizontalBar: chart => chart.drawHorizontalBar(),
+  line: chart => (chart.isCombo() ? chart.drawCombo() : chart.drawLine()),
+  area: chart => (chart.isCombo() ? chart.drawCombo() : chart.drawArea()),
+  pie: chart => chart.drawPie(),
+  donut: chart => chart.drawDonut(),
+  scatter: chart => chart.drawScatter(),
+  bubble: chart => chart.drawBubble(),
+  radar: chart => chart.drawRadar(),
+  polar: chart => chart.drawPolar(),
+  heatmap: chart => chart.drawHeatmap(),
+  treemap: chart => chart.drawTreemap(),
+  gauge: chart => chart.drawGauge(),
+  waterfall: chart => chart.drawWaterfall()
+};
+
+// Plugins installed with VibeCharts.use()
+VibeCharts.plugins = [];
+
+// Built-in themes. `base` holds the defaults every theme starts from; add
+// more with VibeCharts.registerTheme()
+VibeCharts.themes = {
+  base: {
+    backgroundColor: '#1a1a2e',
+    textColor: '#eee',
+    colors: ['#667eea', '#764ba2', '#f093fb', '#4facfe', '#43e97b', '#fa709a', '#fee140'],
+    gridColor: 'rgba(128, 128, 128, 0.2)',
+    fontFamily: 'Inter, Arial',
+    tooltip: { background: 'rgba(0, 0, 0, 0.85)', color: '#ffffff' },
+    legend: { color: null, background: 'transparent' }
+  },
+  lite: { backgroundColor: '#ffffff', textColor: '#333333', gridColor: '#e0e0e0' },
+  dark: { backgroundColor: '#1a1a2e', textColor: '#eee', gridColor: '#2a2a3e' },
+  gradient: { backgroundColor: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)', textColor: '#ffffff', gridColor: 'rgba(255,255,255,0.1)' },
+  glass: { backgroundColor: 'rgba(255, 255, 255, 0.1)', textColor: '#333333', gridColor: 'rgba(0,0,0,0.05)' }
+};
+
+// Built-in text, overridable per chart with the `strings` option. {name}
+// placeholders are filled in by getString().
+VibeCharts.strings = {
+  total: 'Total',
+  item: 'Item {index}',
+  series: 'Series {index}',
+  row: 'Row {index}',
+  rowHeader: 'Row',
+  column: 'Column {index}',
+  axis: 'Axis {index}',
+  other: 'Other',
+  all: 'All',
+  label: 'Label',
+  value: 'Value',
+  size: 'Size',
+  position: '{index} of {count}',
+  summary: '{name}{title} with {size}.',
+  summaryItem: '{count} item',
+  summaryItems: '{count} items',
+  summarySeries: '{series} series over {count} categories',
+  summaryRange: 'Values range from {min} ({minLabel}) to {max} ({maxLabel}).',
+  moreRows: '{count} more rows not listed',
+  loadError: "Couldn't load chart data",
+  retry: 'Retry',
+  treemapLevel: 'Treemap level',
+  types: {
+    chart: 'Chart',
+    bar: 'Bar chart',
+    horizontalBar: 'Horizontal bar chart',
+    line: 'Line chart',
+    area: 'Area chart',
+    pie: 'Pie chart',
+    donut: 'Donut chart',
+    scatter: 'Scatter chart',
+    bubble: 'Bubble chart',
+    radar: 'Radar chart',
+    polar: 'Polar area chart',
+    heatmap: 'Heatmap',
+    treemap: 'Treemap',
+    gauge: 'Gauge',
+    waterfall: 'Waterfall chart'
+  }
+};
+
+VibeCharts.easings = {
+  linear: t => t,
+  easeOutCubic: t => 1 - Math.pow(1 - t, 3),
+  easeInOutQuad: t => (t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2),
+  spring: t => 1 - Math.cos(t * 4.5 * Math.PI) * Math.exp(-t * 6)
+};
+
+VibeCharts.SVGContext = VibeChartsSVGContext;
+
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = VibeCharts;
 }
\ No newline at end of file
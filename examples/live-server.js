@@ -0,0 +1,127 @@
+// Mock data source for connect(): serves examples/live.html and streams a
+// random walk over WebSocket (/socket), Server-Sent Events (/events) and
+// plain JSON for polling (/poll). Each source misbehaves on purpose so that
+// reconnects and backoff can be watched in the page:
+// - the socket closes itself after 10 messages,
+// - the event stream ends after 5 messages and the browser's reconnect
+//   (every other /events request) is refused with 503,
+// - every 4th /poll request fails with 503.
+//
+//   node examples/live-server.js [port]
+//
+// then open http://localhost:8080/ (no dependencies needed).
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const port = Number(process.argv[2]) || 8080;
+const root = path.join(__dirname, '..');
+const files = {
+  '/': ['examples/live.html', 'text/html'],
+  '/VibeCharts.js': ['assets/js/VibeCharts.js', 'text/javascript'],
+  '/VibeCharts.css': ['assets/css/VibeCharts.css', 'text/css']
+};
+
+let value = 50;
+let step = 0;
+const nextPoint = () => {
+  value = Math.max(0, Math.min(100, value + (Math.random() - 0.5) * 10));
+  step += 1;
+  return { label: `#${step}`, value: Math.round(value * 10) / 10 };
+};
+
+// Unmasked server-to-client frame; opcode 0x1 is text, 0x8 is close
+const frame = (opcode, payload = Buffer.alloc(0)) => {
+  const header = payload.length < 126
+    ? Buffer.from([0x80 | opcode, payload.length])
+    : Buffer.from([0x80 | opcode, 126, payload.length >> 8, payload.length & 0xff]);
+  return Buffer.concat([header, payload]);
+};
+
+let eventRequests = 0;
+let pollRequests = 0;
+
+const server = http.createServer((request, response) => {
+  const { pathname } = new URL(request.url, 'http://localhost');
+
+  if (files[pathname]) {
+    const [file, type] = files[pathname];
+    response.writeHead(200, { 'Content-Type': type });
+    fs.createReadStream(path.join(root, file)).pipe(response);
+    return;
+  }
+
+  if (pathname === '/poll') {
+    pollRequests += 1;
+    if (pollRequests % 4 === 0) {
+      response.writeHead(503);
+      response.end();
+      return;
+    }
+    response.writeHead(200, { 'Content-Type': 'application/json' });
+    response.end(JSON.stringify([nextPoint()]));
+    return;
+  }
+
+  if (pathname === '/events') {
+    eventRequests += 1;
+    if (eventRequests % 2 === 0) {
+      // A non-200 answer makes EventSource give up, so connect() backs off
+      response.writeHead(503);
+      response.end();
+      return;
+    }
+    response.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+    response.flushHeaders();
+    let sent = 0;
+    const timer = setInterval(() => {
+      sent += 1;
+      response.write(`data: ${JSON.stringify(nextPoint())}\n\n`);
+      if (sent === 5) {
+        clearInterval(timer);
+        response.end();
+      }
+    }, 1000);
+    request.on('close', () => clearInterval(timer));
+    return;
+  }
+
+  response.writeHead(404);
+  response.end();
+});
+
+server.on('upgrade', (request, socket) => {
+  if (request.url !== '/socket') {
+    socket.destroy();
+    return;
+  }
+  const accept = crypto.createHash('sha1')
+    .update(`${request.headers['sec-websocket-key']}258EAFA5-E914-47DA-95CA-C5AB0DC85B11`)
+    .digest('base64');
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${accept}`,
+    '',
+    ''
+  ].join('\r\n'));
+
+  let sent = 0;
+  const timer = setInterval(() => {
+    sent += 1;
+    socket.write(frame(0x1, Buffer.from(JSON.stringify(nextPoint()))));
+    if (sent === 10) {
+      clearInterval(timer);
+      socket.end(frame(0x8));
+    }
+  }, 500);
+  socket.on('close', () => clearInterval(timer));
+  socket.on('error', () => clearInterval(timer));
+});
+
+server.listen(port, () => {
+  console.log(`Live data mock on http://localhost:${port}/`);
+});